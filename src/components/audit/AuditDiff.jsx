@@ -0,0 +1,104 @@
+import React from 'react';
+import { ArrowRight } from 'lucide-react';
+
+// Keys with their own rendering below; everything else in meta_data is listed as-is
+const DIFF_KEYS = ['before', 'after', 'variants'];
+
+const humanize = (key) => key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.every(v => typeof v !== 'object') ? value.join(', ') || '—' : `${value.length} item(s)`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Numeric change shown next to the new value, e.g. price or stock
+function Delta({ from, to }) {
+  const a = Number(from);
+  const b = Number(to);
+  if (from === null || to === null || Number.isNaN(a) || Number.isNaN(b) || a === b) return null;
+  const delta = b - a;
+  return (
+    <span className={`ml-1.5 text-[10px] font-bold ${delta > 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+      {delta > 0 ? '+' : ''}{Number.isInteger(delta) ? delta : delta.toFixed(2)}
+    </span>
+  );
+}
+
+function ChangeRow({ label, from, to }) {
+  return (
+    <tr className="align-top">
+      <td className="py-1 pr-3 font-medium text-slate-500 whitespace-nowrap">{label}</td>
+      <td className="py-1 pr-2 text-red-600 line-through decoration-red-300 break-all">{formatValue(from)}</td>
+      <td className="py-1 pr-2 text-slate-300"><ArrowRight size={12} /></td>
+      <td className="py-1 text-emerald-700 break-all">
+        {formatValue(to)}
+        <Delta from={from} to={to} />
+      </td>
+    </tr>
+  );
+}
+
+// Field-level view of an audit entry's meta_data (before/after snapshots and per-variant changes)
+export default function AuditDiff({ meta }) {
+  const before = meta.before || {};
+  const after = meta.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const variants = Array.isArray(meta.variants) ? meta.variants : [];
+  const extras = Object.entries(meta).filter(([key]) => !DIFF_KEYS.includes(key));
+
+  return (
+    <div className="mt-2 p-3 bg-slate-50 rounded border border-slate-100 text-xs space-y-3">
+      {fields.length > 0 && (
+        <table className="w-full">
+          <tbody>
+            {fields.map(field => (
+              <ChangeRow key={field} label={humanize(field)} from={before[field] ?? null} to={after[field] ?? null} />
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {variants.length > 0 && (
+        <div>
+          <div className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-1">Variants</div>
+          <table className="w-full">
+            <tbody>
+              {variants.map((v, i) => (
+                <React.Fragment key={v.id || `${v.label}-${i}`}>
+                  {!v.before || !v.after ? (
+                    <tr>
+                      <td className="py-1 pr-3 font-medium text-slate-500 whitespace-nowrap">{v.label}</td>
+                      <td colSpan="3" className={`py-1 ${v.after ? 'text-emerald-700' : 'text-red-600'}`}>
+                        {v.after ? `Added (stock ${v.after.stock_quantity})` : `Removed (had stock ${v.before.stock_quantity})`}
+                      </td>
+                    </tr>
+                  ) : (
+                    Object.keys(v.after)
+                      .filter(key => v.before[key] !== v.after[key])
+                      .map(key => (
+                        <ChangeRow key={key} label={`${v.label} · ${key === 'stock_quantity' ? 'Stock' : humanize(key)}`} from={v.before[key]} to={v.after[key]} />
+                      ))
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {extras.length > 0 && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+          {extras.map(([key, value]) => (
+            <React.Fragment key={key}>
+              <dt className="font-medium text-slate-500">{humanize(key)}</dt>
+              <dd className="text-slate-700 break-all">{formatValue(value)}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
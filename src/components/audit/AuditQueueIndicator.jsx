@@ -0,0 +1,57 @@
+import React, { useEffect, useState, useSyncExternalStore } from 'react';
+import { CloudOff, RefreshCcw } from 'lucide-react';
+import { AUDIT_QUEUE_EVENT, flushAuditQueue, getPendingLogCount } from '../../lib/logger';
+import { useAuth } from '../../context/AuthContext';
+
+const RETRY_INTERVAL_MS = 15000;
+
+const subscribe = (callback) => {
+  window.addEventListener(AUDIT_QUEUE_EVENT, callback);
+  window.addEventListener('storage', callback); // Other tabs
+  return () => {
+    window.removeEventListener(AUDIT_QUEUE_EVENT, callback);
+    window.removeEventListener('storage', callback);
+  };
+};
+
+// Retries queued audit entries and shows how many are still waiting to reach the server
+export default function AuditQueueIndicator() {
+  const { user } = useAuth();
+  const pending = useSyncExternalStore(subscribe, () => getPendingLogCount(user?.id));
+  const [retrying, setRetrying] = useState(false);
+
+  useEffect(() => {
+    flushAuditQueue();
+    const handleOnline = () => flushAuditQueue({ force: true });
+    const interval = setInterval(flushAuditQueue, RETRY_INTERVAL_MS);
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  if (pending === 0) return null;
+
+  const retryNow = async () => {
+    setRetrying(true);
+    await flushAuditQueue({ force: true });
+    setRetrying(false);
+  };
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 flex items-center gap-3 pl-4 pr-2 py-2 bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-xl shadow-lg">
+      <CloudOff size={16} className="shrink-0" />
+      <span>{pending} audit {pending === 1 ? 'entry' : 'entries'} not synced yet</span>
+      <button
+        onClick={retryNow}
+        disabled={retrying}
+        title="Retry now"
+        className="p-1.5 rounded-lg hover:bg-amber-100 disabled:opacity-50"
+      >
+        <RefreshCcw size={14} className={retrying ? 'animate-spin' : ''} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronUp, History, Loader2, User } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { normalizeEntityId } from '../../lib/logger';
+import AuditDiff from './AuditDiff';
+
+// Entries reference an entity as meta_data.<entityKey> (one record) or meta_data.<entityKey>s (bulk actions).
+// An entry can match both lookups, so the merged list is deduplicated by log id.
+const fetchEntityHistory = async (entityKey, entityId) => {
+  const id = normalizeEntityId(entityId);
+  const [single, bulk] = await Promise.all([
+    supabase.from('activity_logs').select('*').eq(`meta_data->>${entityKey}`, String(id)).order('created_at', { ascending: false }).limit(100),
+    supabase.from('activity_logs').select('*').contains('meta_data', { [`${entityKey}s`]: [id] }).order('created_at', { ascending: false }).limit(100)
+  ]);
+  if (single.error) throw single.error;
+  if (bulk.error) throw bulk.error;
+
+  const byId = new Map([...single.data, ...bulk.data].map(log => [log.id, log]));
+  return [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+// Collapsible audit timeline for one product/order. Only queries once opened.
+export default function EntityHistory({ entityKey, entityId, className = '' }) {
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState({ entityId: null, entries: [], error: null });
+
+  useEffect(() => {
+    if (!open || history.entityId === entityId) return;
+    let ignore = false;
+
+    fetchEntityHistory(entityKey, entityId)
+      .then(entries => { if (!ignore) setHistory({ entityId, entries, error: null }); })
+      .catch(error => {
+        console.error(error);
+        if (!ignore) setHistory({ entityId, entries: [], error: 'History unavailable' });
+      });
+
+    return () => { ignore = true; };
+  }, [open, entityKey, entityId, history.entityId]);
+
+  const loading = open && history.entityId !== entityId;
+
+  return (
+    <div className={`bg-white rounded-xl border border-slate-200 overflow-hidden ${className}`}>
+      <button
+        type="button"
+        onClick={() => {
+          if (open) setHistory(prev => ({ ...prev, entityId: null })); // Refetch on next open
+          setOpen(!open);
+        }}
+        className="w-full px-4 py-3 flex items-center justify-between text-sm font-semibold text-slate-900 hover:bg-slate-50"
+      >
+        <span className="flex items-center gap-2"><History size={16} className="text-slate-400" /> History</span>
+        {open ? <ChevronUp size={16} className="text-slate-400" /> : <ChevronDown size={16} className="text-slate-400" />}
+      </button>
+
+      {open && (
+        <div className="border-t border-slate-100 max-h-96 overflow-y-auto">
+          {loading ? (
+            <div className="p-6 text-center"><Loader2 className="animate-spin mx-auto text-slate-400" size={20} /></div>
+          ) : history.error || history.entries.length === 0 ? (
+            <div className="p-6 text-center text-sm text-slate-400">{history.error || 'No recorded activity yet.'}</div>
+          ) : (
+            <ol className="divide-y divide-slate-100">
+              {history.entries.map(log => (
+                <li key={log.id} className="px-4 py-3 text-sm">
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <span className="text-[10px] font-bold text-slate-500 uppercase tracking-wider mr-2">{log.action_type}</span>
+                      <span className="text-slate-900">{log.description}</span>
+                    </div>
+                    <span className="text-xs text-slate-400 whitespace-nowrap">
+                      {new Date(log.created_at).toLocaleDateString()} {new Date(log.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </div>
+                  <div className="mt-1 flex items-center gap-1.5 text-xs text-slate-500">
+                    <User size={12} /> {log.user_email || 'System'}
+                  </div>
+                  {(log.meta_data?.before || log.meta_data?.variants?.length > 0) && (
+                    <details className="mt-1">
+                      <summary className="text-xs text-indigo-600 cursor-pointer hover:underline select-none">View Changes</summary>
+                      <AuditDiff meta={log.meta_data} />
+                    </details>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useCallback, useState } from 'react';
+import { AlertTriangle, Loader2, Lock, ShieldCheck, X } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { logAction } from '../../lib/logger';
+import { getTotpFactor } from '../../lib/mfa';
+import { useAuth } from '../../context/AuthContext';
+import { ConfirmContext } from '../../context/ConfirmContext';
+
+// Promise-based replacement for window.confirm, with optional step-up re-authentication
+export default function ConfirmProvider({ children }) {
+  const [request, setRequest] = useState(null); // { options, resolve }
+
+  const confirm = useCallback((options) => new Promise(resolve => {
+    setRequest({ options, resolve, id: Date.now() });
+  }), []);
+
+  const close = (result) => {
+    request.resolve(result);
+    setRequest(null);
+  };
+
+  return (
+    <ConfirmContext.Provider value={confirm}>
+      {children}
+      {request && <ConfirmDialog key={request.id} {...request.options} onClose={close} />}
+    </ConfirmContext.Provider>
+  );
+}
+
+function ConfirmDialog({ title = 'Are you sure?', message, confirmLabel = 'Confirm', danger = false, stepUp = false, action, onClose }) {
+  const { user, mfa } = useAuth();
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [verifying, setVerifying] = useState(false);
+
+  // With 2FA on we ask for a TOTP code: a password sign-in would drop the session back to aal1
+  const method = mfa.enrolled ? 'totp' : 'password';
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    if (!stepUp) return onClose(true);
+
+    setVerifying(true);
+    setError('');
+    try {
+      if (method === 'totp') {
+        const factor = await getTotpFactor();
+        const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId: factor.id, code: secret.trim() });
+        if (error) throw error;
+      } else {
+        const { error } = await supabase.auth.signInWithPassword({ email: user.email, password: secret });
+        if (error) throw error;
+      }
+
+      await logAction('STEP_UP', 'Auth', `Re-authenticated for: ${action || title}`, { method, action: action || title });
+      onClose(true);
+    } catch (err) {
+      await logAction('STEP_UP_FAILED', 'Auth', `Failed re-authentication for: ${action || title}`, { method, action: action || title, reason: err.code || err.message });
+      setError(method === 'totp' ? 'Invalid code, try again.' : 'Incorrect password, try again.');
+      setSecret('');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm p-4">
+      <form onSubmit={handleConfirm} className="bg-white rounded-2xl shadow-xl w-full max-w-md overflow-hidden animate-in fade-in zoom-in-95 duration-200">
+        <div className="px-6 py-4 bg-slate-50 border-b border-slate-100 flex justify-between items-center">
+          <h3 className="font-semibold text-slate-900">{title}</h3>
+          <button type="button" onClick={() => onClose(false)} className="text-slate-400 hover:text-slate-600"><X size={20} /></button>
+        </div>
+        <div className="p-6 space-y-4">
+          {message && (
+            <div className={`flex gap-3 p-3 text-sm rounded-lg border ${danger ? 'bg-red-50 text-red-700 border-red-100' : 'bg-slate-50 text-slate-700 border-slate-100'}`}>
+              <AlertTriangle size={20} className="shrink-0" /><p>{message}</p>
+            </div>
+          )}
+          {stepUp && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                {method === 'totp' ? 'Enter your authenticator code to continue' : 'Enter your password to continue'}
+              </label>
+              <div className="relative">
+                {method === 'totp'
+                  ? <ShieldCheck className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
+                  : <Lock className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />}
+                <input
+                  type={method === 'totp' ? 'text' : 'password'}
+                  inputMode={method === 'totp' ? 'numeric' : undefined}
+                  autoComplete={method === 'totp' ? 'one-time-code' : 'current-password'}
+                  maxLength={method === 'totp' ? 6 : undefined}
+                  required
+                  autoFocus
+                  value={secret}
+                  onChange={(e) => setSecret(e.target.value)}
+                  className={`w-full pl-9 pr-3 py-2.5 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none ${method === 'totp' ? 'font-mono tracking-widest' : ''}`}
+                />
+              </div>
+              {error && <p className="text-xs text-red-600 mt-1.5">{error}</p>}
+            </div>
+          )}
+        </div>
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-100 flex justify-end gap-3">
+          <button type="button" onClick={() => onClose(false)} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-200 rounded-lg transition-colors">Cancel</button>
+          <button
+            type="submit"
+            autoFocus={!stepUp}
+            disabled={verifying}
+            className={`px-4 py-2 text-sm font-medium text-white rounded-lg shadow-sm transition-all flex items-center gap-2 disabled:opacity-70 ${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-900 hover:bg-indigo-800'}`}
+          >
+            {verifying && <Loader2 className="animate-spin" size={16} />} {confirmLabel}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
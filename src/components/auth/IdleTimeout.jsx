@@ -0,0 +1,123 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Clock, LogOut } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { logAction } from '../../lib/logger';
+import { useAuth } from '../../context/AuthContext';
+import { logOut } from '../../lib/loginAudit';
+import {
+  IDLE_WARNING_SECONDS,
+  touchActivity,
+  getLastActivity,
+  clearActivity,
+  getIdleTimeoutMinutes,
+  setIdleTimeoutMinutes
+} from '../../lib/session';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+const ACTIVITY_WRITE_INTERVAL = 5000; // Throttle localStorage writes while the user is busy
+
+export default function IdleTimeout() {
+  const { user } = useAuth();
+  const [secondsLeft, setSecondsLeft] = useState(null); // Only set while the warning is showing
+  const warningRef = useRef(false);
+  const signingOutRef = useRef(false);
+
+  // Pull the configured timeout once per load
+  useEffect(() => {
+    supabase
+      .from('store_settings')
+      .select('idle_timeout_minutes')
+      .single()
+      .then(({ data }) => {
+        if (data?.idle_timeout_minutes) setIdleTimeoutMinutes(data.idle_timeout_minutes);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    if (!getLastActivity()) touchActivity();
+    let lastWrite = 0;
+
+    const expire = async () => {
+      if (signingOutRef.current) return;
+      signingOutRef.current = true;
+
+      // Whichever tab clears the clock first records the logout, the rest just sign out
+      if (getLastActivity()) {
+        clearActivity();
+        const minutes = getIdleTimeoutMinutes();
+        await logAction('LOGOUT', 'Auth', `Session timed out after ${minutes} min of inactivity: ${user.email}`, { reason: 'idle_timeout', timeoutMinutes: minutes });
+      }
+      await supabase.auth.signOut();
+    };
+
+    const tick = () => {
+      const lastActivity = getLastActivity();
+      const deadline = (lastActivity || 0) + getIdleTimeoutMinutes() * 60 * 1000;
+      const left = Math.ceil((deadline - Date.now()) / 1000);
+
+      if (left <= 0) return expire();
+
+      warningRef.current = left <= IDLE_WARNING_SECONDS;
+      setSecondsLeft(warningRef.current ? left : null);
+    };
+
+    const handleActivity = () => {
+      // Once the warning is up, only "Stay Signed In" extends the session
+      if (warningRef.current) return;
+      const now = Date.now();
+      if (now - lastWrite < ACTIVITY_WRITE_INTERVAL) return;
+      lastWrite = now;
+      touchActivity();
+    };
+
+    ACTIVITY_EVENTS.forEach(evt => window.addEventListener(evt, handleActivity, { passive: true }));
+    const interval = setInterval(tick, 1000);
+    tick(); // Catches sessions that went idle while the page was closed
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(evt => window.removeEventListener(evt, handleActivity));
+      clearInterval(interval);
+    };
+  }, [user]);
+
+  const staySignedIn = () => {
+    touchActivity();
+    warningRef.current = false;
+    setSecondsLeft(null);
+  };
+
+  const signOutNow = async () => {
+    signingOutRef.current = true;
+    clearActivity();
+    await logOut(user.email, 'idle_warning');
+  };
+
+  if (secondsLeft === null) return null;
+
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+  return (
+    <div className="fixed inset-0 z-100 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm overflow-hidden animate-in fade-in zoom-in-95 duration-200">
+        <div className="p-6 text-center">
+          <div className="w-12 h-12 mx-auto mb-4 rounded-full bg-amber-50 text-amber-600 flex items-center justify-center">
+            <Clock size={24} />
+          </div>
+          <h3 className="text-lg font-semibold text-slate-900">Are you still there?</h3>
+          <p className="text-sm text-slate-500 mt-1">You'll be signed out due to inactivity in</p>
+          <div className="text-4xl font-bold font-mono text-slate-900 mt-3">{minutes}:{seconds}</div>
+        </div>
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-100 flex justify-end gap-3">
+          <button onClick={signOutNow} className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-200 rounded-lg transition-colors">
+            <LogOut size={16} /> Sign Out
+          </button>
+          <button onClick={staySignedIn} className="px-4 py-2 text-sm font-medium text-white bg-indigo-900 hover:bg-indigo-800 rounded-lg shadow-sm transition-all">
+            Stay Signed In
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
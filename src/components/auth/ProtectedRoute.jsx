@@ -1,9 +1,85 @@
 import { Navigate, Outlet } from 'react-router-dom';
+import { Toaster } from 'sonner';
+import { ShieldOff, ShieldCheck, LogOut, Loader2 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { logOut } from '../../lib/loginAudit';
+import { getHomePath } from '../../lib/roles';
+import TwoFactorSetup from './TwoFactorSetup';
 
-export default function ProtectedRoute() {
-  const { user } = useAuth();
+export default function ProtectedRoute({ allowedRoles }) {
+  const { user, accessLoading, role, mfa, hasRole } = useAuth();
 
   // If no user is logged in, send them to the login page
-  return user ? <Outlet /> : <Navigate to="/login" replace />;
-}
\ No newline at end of file
+  if (!user) return <Navigate to="/login" replace />;
+
+  // Role & 2FA state still loading for this user
+  if (accessLoading) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-slate-50">
+        <Loader2 className="animate-spin text-slate-400" size={32} />
+      </div>
+    );
+  }
+
+  // Password accepted but the 2FA code hasn't been entered yet
+  if (mfa.needsChallenge) return <Navigate to="/login" replace />;
+
+  // Signed in, but no active staff role (not set up yet or deactivated)
+  if (!role) return <NoAccess email={user.email} />;
+
+  // Owner made 2FA mandatory and this account hasn't set it up
+  if (mfa.required && !mfa.enrolled) return <TwoFactorRequired />;
+
+  // Role can't open this page, send them to their own landing page
+  if (!hasRole(allowedRoles)) return <Navigate to={getHomePath(role)} replace />;
+
+  return <Outlet />;
+}
+
+function NoAccess({ email }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 p-6">
+      <div className="w-full max-w-md bg-white border border-slate-200 rounded-2xl shadow-sm p-8 text-center">
+        <div className="w-12 h-12 mx-auto mb-4 rounded-full bg-red-50 text-red-600 flex items-center justify-center">
+          <ShieldOff size={24} />
+        </div>
+        <h1 className="text-xl font-bold text-slate-900 mb-2">No Admin Access</h1>
+        <p className="text-sm text-slate-500 mb-6">
+          <span className="font-medium text-slate-700">{email}</span> does not have an active staff role.
+          Ask the store owner to grant you access.
+        </p>
+        <button
+          onClick={() => logOut(email, 'no_access')}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black transition-all"
+        >
+          <LogOut size={16} /> Sign Out
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TwoFactorRequired() {
+  const { user } = useAuth();
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 p-6">
+      <Toaster position="top-right" richColors />
+      <div className="w-full max-w-lg bg-white border border-slate-200 rounded-2xl shadow-sm p-8">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="p-2 bg-indigo-50 text-indigo-600 rounded-lg"><ShieldCheck size={20} /></div>
+          <div>
+            <h1 className="text-lg font-bold text-slate-900">Two-Factor Authentication Required</h1>
+            <p className="text-sm text-slate-500">The store owner requires 2FA on every staff account.</p>
+          </div>
+        </div>
+        <TwoFactorSetup />
+        <button
+          onClick={() => logOut(user.email, 'mfa_setup_skipped')}
+          className="mt-6 flex items-center gap-2 text-sm font-medium text-slate-500 hover:text-red-600"
+        >
+          <LogOut size={16} /> Sign Out
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2, ShieldCheck, ShieldOff, KeyRound, Copy, Download, RefreshCcw } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { logAction } from '../../lib/logger';
+import { createBackupCodes } from '../../lib/mfa';
+import { useAuth } from '../../context/AuthContext';
+import { useConfirm } from '../../context/ConfirmContext';
+
+// TOTP enrollment, backup codes and disable. Used on My Account (every role), in Settings and by the mandatory-2FA gate.
+export default function TwoFactorSetup() {
+  const { user, mfa, refreshAccess } = useAuth();
+  const confirmAction = useConfirm();
+  const [step, setStep] = useState('status'); // 'status', 'enroll', 'codes'
+  const [enrollment, setEnrollment] = useState(null); // { factorId, qr, secret }
+  const [code, setCode] = useState('');
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const startEnrollment = async () => {
+    setBusy(true);
+    try {
+      // Drop half-finished enrollments so the new factor isn't rejected as a duplicate
+      const { data: factors } = await supabase.auth.mfa.listFactors();
+      for (const factor of factors?.all || []) {
+        if (factor.status !== 'verified') await supabase.auth.mfa.unenroll({ factorId: factor.id });
+      }
+
+      const { data, error } = await supabase.auth.mfa.enroll({ factorType: 'totp', friendlyName: `Authenticator ${Date.now()}` });
+      if (error) throw error;
+
+      setEnrollment({ factorId: data.id, qr: data.totp.qr_code, secret: data.totp.secret });
+      setStep('enroll');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const verifyEnrollment = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId: enrollment.factorId, code: code.trim() });
+      if (error) throw error;
+
+      const codes = await createBackupCodes();
+      await logAction('CREATE', 'Auth', `Enabled two-factor authentication: ${user.email}`, { factorId: enrollment.factorId });
+
+      setBackupCodes(codes);
+      setEnrollment(null);
+      setCode('');
+      setStep('codes');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const regenerateCodes = async () => {
+    if (!(await confirmAction({ title: 'New Backup Codes', message: 'Generate new backup codes? Your old codes will stop working.', confirmLabel: 'Generate' }))) return;
+    setBusy(true);
+    try {
+      const codes = await createBackupCodes();
+      await logAction('UPDATE', 'Auth', `Regenerated 2FA backup codes: ${user.email}`);
+      setBackupCodes(codes);
+      setStep('codes');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const disable = async () => {
+    const confirmed = await confirmAction({
+      title: 'Turn Off 2FA',
+      message: 'Turn off two-factor authentication for your account?',
+      confirmLabel: 'Turn Off',
+      danger: true,
+      stepUp: true,
+      action: 'Disable two-factor authentication'
+    });
+    if (!confirmed) return;
+    setBusy(true);
+    try {
+      const { data: factors } = await supabase.auth.mfa.listFactors();
+      for (const factor of factors?.all || []) {
+        const { error } = await supabase.auth.mfa.unenroll({ factorId: factor.id });
+        if (error) throw error;
+      }
+      await logAction('DELETE', 'Auth', `Disabled two-factor authentication: ${user.email}`);
+      toast.success("Two-factor authentication disabled");
+      await refreshAccess();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The session only reaches aal2 in the auth context once the user has seen their codes
+  const finish = async () => {
+    setBackupCodes([]);
+    setStep('status');
+    await refreshAccess();
+  };
+
+  const copyCodes = () => {
+    navigator.clipboard.writeText(backupCodes.join('\n'));
+    toast.success("Backup codes copied");
+  };
+
+  const downloadCodes = () => {
+    const blob = new Blob([`AC Admin backup codes for ${user.email}\n\n${backupCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'ac-admin-backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (step === 'codes') {
+    return (
+      <div className="space-y-4">
+        <div className="p-3 bg-amber-50 text-amber-800 text-sm rounded-lg border border-amber-100">
+          Save these backup codes somewhere safe. Each one can be used once if you lose your phone. They won't be shown again.
+        </div>
+        <div className="grid grid-cols-2 gap-2 p-4 bg-slate-50 rounded-lg border border-slate-200 font-mono text-sm text-slate-800">
+          {backupCodes.map(c => <div key={c}>{c}</div>)}
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <button type="button" onClick={copyCodes} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-200 text-slate-600 text-sm font-medium rounded-lg hover:bg-slate-50"><Copy size={16} /> Copy</button>
+          <button type="button" onClick={downloadCodes} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-200 text-slate-600 text-sm font-medium rounded-lg hover:bg-slate-50"><Download size={16} /> Download</button>
+          <button type="button" onClick={finish} className="ml-auto px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black">I've Saved Them</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'enroll') {
+    return (
+      <form onSubmit={verifyEnrollment} className="space-y-4">
+        <p className="text-sm text-slate-500">Scan this QR code with Google Authenticator, Authy or 1Password, then enter the 6-digit code it shows.</p>
+        <div className="flex flex-col sm:flex-row items-center gap-6">
+          <img src={enrollment.qr} alt="2FA QR Code" className="w-40 h-40 bg-white border border-slate-200 rounded-lg p-2" />
+          <div className="space-y-3 w-full">
+            <div>
+              <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">Can't scan? Enter this key</label>
+              <div className="font-mono text-xs break-all p-2 bg-slate-50 border border-slate-200 rounded-lg text-slate-700">{enrollment.secret}</div>
+            </div>
+            <div>
+              <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">Verification Code</label>
+              <input
+                value={code}
+                onChange={e => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                required
+                placeholder="123456"
+                className="w-full px-3 py-2.5 bg-white border border-slate-200 rounded-lg font-mono tracking-widest focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 outline-none"
+              />
+            </div>
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <button type="submit" disabled={busy} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-lg hover:bg-indigo-700 disabled:opacity-70">
+            {busy ? <Loader2 className="animate-spin" size={16} /> : <ShieldCheck size={16} />} Verify & Enable
+          </button>
+          <button type="button" onClick={() => setStep('status')} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+        </div>
+      </form>
+    );
+  }
+
+  return mfa.enrolled ? (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3 p-3 bg-emerald-50 text-emerald-700 text-sm rounded-lg border border-emerald-100">
+        <ShieldCheck size={18} className="shrink-0" /> Two-factor authentication is on for {user.email}.
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <button type="button" onClick={regenerateCodes} disabled={busy} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-200 text-slate-600 text-sm font-medium rounded-lg hover:bg-slate-50 disabled:opacity-70">
+          <RefreshCcw size={16} /> New Backup Codes
+        </button>
+        {!mfa.required && (
+          <button type="button" onClick={disable} disabled={busy} className="flex items-center gap-2 px-4 py-2 bg-white border border-red-200 text-red-600 text-sm font-medium rounded-lg hover:bg-red-50 disabled:opacity-70">
+            <ShieldOff size={16} /> Turn Off
+          </button>
+        )}
+      </div>
+    </div>
+  ) : (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-500">Protect your account with a one-time code from an authenticator app, in addition to your password.</p>
+      <button type="button" onClick={startEnrollment} disabled={busy} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-lg hover:bg-indigo-700 disabled:opacity-70">
+        {busy ? <Loader2 className="animate-spin" size={16} /> : <KeyRound size={16} />} Set Up Authenticator
+      </button>
+    </div>
+  );
+}
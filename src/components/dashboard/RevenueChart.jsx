@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 240;
+const PAD = { top: 16, right: 16, bottom: 28, left: 16 };
+
+// Revenue and order count over time. Each series is scaled to its own max so both stay readable.
+export default function RevenueChart({ buckets, interval }) {
+  const [hover, setHover] = useState(null);
+
+  if (buckets.length === 0) return null;
+
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const maxRevenue = Math.max(...buckets.map(b => b.revenue), 1);
+  const maxOrders = Math.max(...buckets.map(b => b.orders), 1);
+
+  const x = (i) => PAD.left + (buckets.length === 1 ? innerW / 2 : (i / (buckets.length - 1)) * innerW);
+  const y = (value, max) => PAD.top + innerH - (value / max) * innerH;
+  const line = (key, max) => buckets.map((b, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(b[key], max)}`).join(' ');
+
+  // Roughly 8 x-axis labels whatever the range
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 8));
+  const formatDate = (date) => date.toLocaleDateString([], { day: 'numeric', month: 'short' });
+  const active = hover !== null ? buckets[hover] : null;
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" onMouseLeave={() => setHover(null)}>
+        {/* Grid */}
+        {[0, 0.5, 1].map(f => (
+          <line key={f} x1={PAD.left} x2={WIDTH - PAD.right} y1={PAD.top + innerH * f} y2={PAD.top + innerH * f} stroke="#f1f5f9" />
+        ))}
+
+        <path d={line('revenue', maxRevenue)} fill="none" stroke="#4f46e5" strokeWidth="2.5" strokeLinejoin="round" />
+        <path d={line('orders', maxOrders)} fill="none" stroke="#10b981" strokeWidth="2" strokeDasharray="5 4" strokeLinejoin="round" />
+
+        {buckets.map((b, i) => (
+          <g key={b.key}>
+            {i % labelEvery === 0 && (
+              <text x={x(i)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#94a3b8">{formatDate(b.date)}</text>
+            )}
+            {/* Hover target per bucket */}
+            <rect
+              x={x(i) - innerW / buckets.length / 2}
+              y={PAD.top}
+              width={innerW / buckets.length}
+              height={innerH}
+              fill="transparent"
+              onMouseEnter={() => setHover(i)}
+            />
+          </g>
+        ))}
+
+        {active && (
+          <g pointerEvents="none">
+            <line x1={x(hover)} x2={x(hover)} y1={PAD.top} y2={PAD.top + innerH} stroke="#cbd5e1" strokeDasharray="3 3" />
+            <circle cx={x(hover)} cy={y(active.revenue, maxRevenue)} r="4" fill="#4f46e5" />
+            <circle cx={x(hover)} cy={y(active.orders, maxOrders)} r="3.5" fill="#10b981" />
+          </g>
+        )}
+      </svg>
+
+      {active && (
+        <div className="absolute top-2 left-2 px-3 py-2 bg-white/95 border border-slate-200 rounded-lg shadow-sm text-xs pointer-events-none">
+          <div className="font-semibold text-slate-900 mb-1">{interval === 'week' ? `Week of ${formatDate(active.date)}` : formatDate(active.date)}</div>
+          <div className="text-indigo-600">Revenue: ₹{active.revenue.toLocaleString()}</div>
+          <div className="text-emerald-600">Orders: {active.orders}</div>
+        </div>
+      )}
+
+      <div className="flex items-center gap-4 mt-2 text-xs text-slate-500">
+        <span className="flex items-center gap-1.5"><span className="w-4 h-0.5 bg-indigo-600 rounded" /> Revenue</span>
+        <span className="flex items-center gap-1.5"><span className="w-4 h-0.5 border-t-2 border-dashed border-emerald-500" /> Orders</span>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import { Outlet } from 'react-router-dom';
 import SideBar from './SideBar';
+import IdleTimeout from '../auth/IdleTimeout';
+import AuditQueueIndicator from '../audit/AuditQueueIndicator';
+import NewOrderAlerts from '../orders/NewOrderAlerts';
 import { Menu } from 'lucide-react';
 
 export default function Layout() {
@@ -8,6 +11,15 @@ export default function Layout() {
 
   return (
     <div className="flex h-screen bg-slate-50 overflow-hidden relative">
+      {/* Inactivity warning & auto sign-out */}
+      <IdleTimeout />
+
+      {/* Audit entries waiting to be re-sent */}
+      <AuditQueueIndicator />
+
+      {/* Toast (and optional chime) for each new order */}
+      <NewOrderAlerts />
+
       {/* Sidebar - Controlled by State */}
       <SideBar isOpen={isSidebarOpen} onClose={() => setSidebarOpen(false)} />
 
@@ -1,6 +1,9 @@
-import React from 'react';
+import React, { useSyncExternalStore } from 'react';
 import { NavLink } from 'react-router-dom';
-import { supabase } from '../../lib/supabase';
+import { logOut } from '../../lib/loginAudit';
+import { useAuth } from '../../context/AuthContext';
+import { ROLES, ALL_ROLES, MANAGEMENT_ROLES } from '../../lib/roles';
+import { ORDER_SOUND_EVENT, isOrderSoundEnabled, setOrderSoundEnabled, playOrderChime } from '../../lib/orderFeed';
 import {
   LayoutDashboard,
   ShoppingBag,
@@ -14,27 +17,56 @@ import {
   ShoppingCart,
   Settings,
   TrendingUp,
-  NotebookPen
+  NotebookPen,
+  UserCog,
+  PiggyBank,
+  Trophy,
+  AlertTriangle,
+  Bell,
+  BellOff,
+  Megaphone,
+  Wallet,
+  UserCircle
 } from 'lucide-react';
 
+const subscribeToSoundSetting = (callback) => {
+  window.addEventListener(ORDER_SOUND_EVENT, callback);
+  return () => window.removeEventListener(ORDER_SOUND_EVENT, callback);
+};
+
 export default function SideBar({ isOpen, onClose }) {
+  const { user, role, hasRole } = useAuth();
+  const orderSound = useSyncExternalStore(subscribeToSoundSetting, isOrderSoundEnabled);
+
+  const toggleOrderSound = () => {
+    setOrderSoundEnabled(!orderSound);
+    if (!orderSound) playOrderChime(); // Preview, and unlocks audio for later alerts
+  };
+
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await logOut(user.email);
   };
 
   const navItems = [
-    { name: 'Overview', path: '/', icon: LayoutDashboard },
-    { name: 'New Order', path: '/orders/create', icon: ShoppingCart },
-    { name: 'Products', path: '/products', icon: Package },
-    { name: 'Trending Products', path: '/trending', icon: TrendingUp },
-    { name: 'Sales & Offers', path: '/sales', icon: Percent },
-    { name: 'Order Management', path: '/orders', icon: ShoppingBag },
-    { name: 'Customers', path: '/customers', icon: Users },
-    { name: 'Attributes', path: '/attributes', icon: Tags },
-    { name: 'Store Settings', path: '/settings', icon: Settings },
-    { name: 'Logs', path: '/logs', icon:   NotebookPen
+    { name: 'Overview', path: '/', icon: LayoutDashboard, roles: MANAGEMENT_ROLES },
+    { name: 'New Order', path: '/orders/create', icon: ShoppingCart, roles: MANAGEMENT_ROLES },
+    { name: 'Products', path: '/products', icon: Package, roles: MANAGEMENT_ROLES },
+    { name: 'Low Stock', path: '/inventory/low-stock', icon: AlertTriangle, roles: MANAGEMENT_ROLES },
+    { name: 'Trending Products', path: '/trending', icon: TrendingUp, roles: MANAGEMENT_ROLES },
+    { name: 'Sales & Offers', path: '/sales', icon: Percent, roles: MANAGEMENT_ROLES },
+    { name: 'Profit Report', path: '/reports/profit', icon: PiggyBank, roles: MANAGEMENT_ROLES },
+    { name: 'Best Sellers', path: '/reports/best-sellers', icon: Trophy, roles: MANAGEMENT_ROLES },
+    { name: 'Campaign Results', path: '/reports/campaigns', icon: Megaphone, roles: MANAGEMENT_ROLES },
+    { name: 'Order Management', path: '/orders', icon: ShoppingBag, roles: ALL_ROLES },
+    { name: 'Payments', path: '/finance/payments', icon: Wallet, roles: MANAGEMENT_ROLES },
+    { name: 'Customers', path: '/customers', icon: Users, roles: MANAGEMENT_ROLES },
+    { name: 'Attributes', path: '/attributes', icon: Tags, roles: MANAGEMENT_ROLES },
+    { name: 'My Account', path: '/account', icon: UserCircle, roles: ALL_ROLES },
+    { name: 'Team', path: '/team', icon: UserCog, roles: [ROLES.OWNER] },
+    { name: 'Store Settings', path: '/settings', icon: Settings, roles: [ROLES.OWNER] },
+    { name: 'Logs', path: '/logs', icon:   NotebookPen, roles: [ROLES.OWNER]
  },
-  ];
+  ].filter(item => hasRole(item.roles));
 
   return (
     <>
@@ -92,25 +124,38 @@ export default function SideBar({ isOpen, onClose }) {
           ))}
 
           {/* Separator for "Add Product" */}
-          <div className="pt-4 mt-4 border-t border-slate-100">
-            <NavLink
-              to="/add-product"
-              onClick={() => onClose()}
-              className={({ isActive }) =>
-                `flex items-center gap-3 px-4 py-3 rounded-lg transition-all duration-200 ${isActive
-                  ? 'bg-indigo-50 text-indigo-700'
-                  : 'text-slate-500 hover:bg-indigo-50 hover:text-indigo-600'
-                }`
-              }
-            >
-              <PlusCircle size={20} strokeWidth={2} />
-              <span className="font-medium">Add Product</span>
-            </NavLink>
-          </div>
+          {hasRole(MANAGEMENT_ROLES) && (
+            <div className="pt-4 mt-4 border-t border-slate-100">
+              <NavLink
+                to="/add-product"
+                onClick={() => onClose()}
+                className={({ isActive }) =>
+                  `flex items-center gap-3 px-4 py-3 rounded-lg transition-all duration-200 ${isActive
+                    ? 'bg-indigo-50 text-indigo-700'
+                    : 'text-slate-500 hover:bg-indigo-50 hover:text-indigo-600'
+                  }`
+                }
+              >
+                <PlusCircle size={20} strokeWidth={2} />
+                <span className="font-medium">Add Product</span>
+              </NavLink>
+            </div>
+          )}
         </nav>
 
         {/* User Profile & Logout */}
         <div className="p-4 border-t border-slate-100">
+          <div className="px-4 pb-3">
+            <div className="text-sm font-medium text-slate-900 truncate" title={user?.email}>{user?.email}</div>
+            <div className="text-[10px] text-slate-400 uppercase tracking-wider font-bold">{role}</div>
+          </div>
+          <button
+            onClick={toggleOrderSound}
+            className="flex items-center gap-3 px-4 py-3 w-full text-left text-slate-500 hover:text-slate-900 hover:bg-slate-50 rounded-lg transition-colors"
+          >
+            {orderSound ? <Bell size={20} strokeWidth={2} /> : <BellOff size={20} strokeWidth={2} />}
+            <span className="font-medium">New Order Sound: {orderSound ? 'On' : 'Off'}</span>
+          </button>
           <button
             onClick={handleLogout}
             className="flex items-center gap-3 px-4 py-3 w-full text-left text-slate-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
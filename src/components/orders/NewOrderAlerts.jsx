@@ -0,0 +1,21 @@
+import { useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { subscribeToOrders, isOrderSoundEnabled, playOrderChime } from '../../lib/orderFeed';
+
+// Announces storefront orders on every admin page. Renders nothing; the toast shows in the page's <Toaster>.
+export default function NewOrderAlerts() {
+  const navigate = useNavigate();
+
+  useEffect(() => subscribeToOrders('alerts', {
+    onInsert: (order) => {
+      toast.success(`New order from ${order.customer_name || 'a customer'}`, {
+        description: `₹${(order.total_amount || 0).toLocaleString()} · ${order.payment_method || 'payment pending'}`,
+        action: { label: 'View', onClick: () => navigate('/orders') }
+      });
+      if (isOrderSoundEnabled()) playOrderChime();
+    }
+  }), [navigate]);
+
+  return null;
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Calendar } from 'lucide-react';
+import { RANGE_PRESETS } from '../../lib/analytics';
+
+// Preset buttons + from/to inputs for 'custom'. `value` is the { preset, from, to } that getDateRange takes.
+export default function DateRangePicker({ value, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="flex bg-slate-100 rounded-lg p-1">
+        {RANGE_PRESETS.map(p => (
+          <button
+            key={p.value}
+            type="button"
+            onClick={() => onChange({ ...value, preset: p.value })}
+            className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${value.preset === p.value ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-900'}`}
+          >
+            {p.label}
+          </button>
+        ))}
+      </div>
+      {value.preset === 'custom' && (
+        <div className="flex items-center gap-2 text-sm">
+          <Calendar size={14} className="text-slate-400" />
+          <input type="date" value={value.from} max={value.to || undefined} onChange={e => onChange({ ...value, from: e.target.value })} className="px-2 py-1 border border-slate-200 rounded-lg text-sm" />
+          <span className="text-slate-400">to</span>
+          <input type="date" value={value.to} min={value.from || undefined} onChange={e => onChange({ ...value, to: e.target.value })} className="px-2 py-1 border border-slate-200 rounded-lg text-sm" />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,43 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from '../lib/supabase';
+import { canPerform, hasRole } from '../lib/roles';
+import { clearActivity, clearRecoveryUser, setRecoveryUser } from '../lib/session';
 
 const AuthContext = createContext({});
 
+// PASSWORD_RECOVERY fires once while the client reads the link's tokens at startup, which can be before the
+// provider's effect subscribes, so it is caught at module load
+supabase.auth.onAuthStateChange((event, session) => {
+  if (event === 'PASSWORD_RECOVERY' && session?.user) setRecoveryUser(session.user.id);
+  if (event === 'SIGNED_OUT') clearRecoveryUser();
+});
+
+// Everything that decides what a signed-in user may open: staff role, 2FA state and the store-wide 2FA rule
+const fetchAccess = async (userId) => {
+  const [profileRes, aalRes, settingsRes] = await Promise.all([
+    supabase.from('admin_users').select('role, is_active, full_name').eq('id', userId).maybeSingle(),
+    supabase.auth.mfa.getAuthenticatorAssuranceLevel(),
+    supabase.from('store_settings').select('require_mfa').maybeSingle()
+  ]);
+
+  if (profileRes.error) console.error('Error loading staff profile:', profileRes.error.message);
+
+  return {
+    userId,
+    profile: profileRes.data || null,
+    aal: aalRes.data || null,
+    requireMfa: !!settingsRes.data?.require_mfa
+  };
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  // Keyed by user id so we know when it is stale
+  const [access, setAccess] = useState({ userId: null, profile: null, aal: null, requireMfa: false });
+  const userId = user?.id;
+
   useEffect(() => {
     // Check active sessions
     supabase.auth.getSession().then(({ data: { session } }) => {
@@ -15,18 +46,61 @@ export const AuthProvider = ({ children }) => {
     });
 
     // Listen for changes (login/logout)
-    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      // Reset the idle clock so the next sign-in starts fresh
+      if (event === 'SIGNED_OUT') clearActivity();
       setUser(session?.user ?? null);
     });
 
     return () => subscription.unsubscribe();
   }, []);
 
+  // Load access whenever a different user signs in. Later changes (e.g. passing 2FA) call refreshAccess.
+  useEffect(() => {
+    if (!userId) return;
+    let ignore = false;
+
+    fetchAccess(userId).then(result => {
+      if (!ignore) setAccess(result);
+    });
+
+    return () => { ignore = true; };
+  }, [userId]);
+
+  const refreshAccess = async () => {
+    if (userId) setAccess(await fetchAccess(userId));
+  };
+
+  const accessLoading = !!userId && access.userId !== userId;
+  const current = userId && access.userId === userId ? access : {};
+
+  // Deactivated accounts keep their row but lose every permission
+  const role = current.profile?.is_active ? current.profile.role : null;
+
+  const mfa = {
+    enrolled: current.aal?.nextLevel === 'aal2',
+    verified: current.aal?.currentLevel === 'aal2',
+    required: !!current.requireMfa
+  };
+  mfa.needsChallenge = mfa.enrolled && !mfa.verified;
+
+  const value = {
+    user,
+    loading,
+    accessLoading,
+    profile: current.profile || null,
+    role,
+    mfa,
+    refreshAccess,
+    hasRole: (allowedRoles) => hasRole(role, allowedRoles),
+    can: (permission) => canPerform(role, permission)
+  };
+
   return (
-    <AuthContext.Provider value={{ user, loading }}>
+    <AuthContext.Provider value={value}>
       {!loading && children}
     </AuthContext.Provider>
   );
 };
 
-export const useAuth = () => useContext(AuthContext);
\ No newline at end of file
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+// Provided by <ConfirmProvider />. Kept apart from the component so fast refresh keeps working.
+export const ConfirmContext = createContext(async () => false);
+
+// const confirm = useConfirm();
+// if (!(await confirm({ title, message, confirmLabel, danger, stepUp, action }))) return;
+//
+// `stepUp` asks for the user's password (or TOTP code when 2FA is on) before resolving true,
+// and `action` names the operation in the STEP_UP audit entry.
+export const useConfirm = () => useContext(ConfirmContext);
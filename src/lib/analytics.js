@@ -0,0 +1,194 @@
+import { supabase } from './supabase';
+
+// Date-range helpers shared by the Dashboard and reports. All ranges are local days, end exclusive.
+
+export const RANGE_PRESETS = [
+  { value: 'today', label: 'Today' },
+  { value: '7d', label: '7 Days' },
+  { value: '30d', label: '30 Days' },
+  { value: 'month', label: 'This Month' },
+  { value: 'custom', label: 'Custom' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// 'YYYY-MM-DD' in local time, as used by <input type="date">
+export const toDateInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+const fromDateInput = (value) => new Date(`${value}T00:00:00`);
+
+// { preset, from, to } -> { start, end }
+export const getDateRange = ({ preset, from, to }) => {
+  const today = startOfDay(new Date());
+  const tomorrow = addDays(today, 1);
+
+  switch (preset) {
+    case 'today': return { start: today, end: tomorrow };
+    case '7d': return { start: addDays(today, -6), end: tomorrow };
+    case 'month': return { start: new Date(today.getFullYear(), today.getMonth(), 1), end: tomorrow };
+    case 'custom':
+      if (from && to) return { start: fromDateInput(from), end: addDays(fromDateInput(to), 1) };
+      return { start: addDays(today, -29), end: tomorrow };
+    case '30d':
+    default:
+      return { start: addDays(today, -29), end: tomorrow };
+  }
+};
+
+// Same number of days immediately before the range
+export const getPreviousRange = ({ start, end }) => {
+  const days = Math.round((end - start) / DAY_MS);
+  return { start: addDays(start, -days), end: start };
+};
+
+export const getRangeDays = ({ start, end }) => Math.round((end - start) / DAY_MS);
+
+// % change for comparison badges, null when there's nothing to compare against
+export const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return ((current - previous) / previous) * 100;
+};
+
+// Monday of the date's week
+const startOfWeek = (date) => addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+
+// Aggregates are computed by database functions so the Dashboard never downloads order rows.
+// Both exclude cancelled orders and take the same [start, end) window as getDateRange:
+//   get_sales_summary(start_at, end_at)           -> { revenue, order_count }
+//   get_sales_series(start_at, end_at, bucket, tz) -> [{ bucket_start: 'YYYY-MM-DD', revenue, order_count }]
+// `tz` makes the server group by the admin's local day; 'week' buckets start on Monday (date_trunc).
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const fetchSalesSummary = async ({ start, end }) => {
+  const { data, error } = await supabase
+    .rpc('get_sales_summary', { start_at: start.toISOString(), end_at: end.toISOString() })
+    .single();
+  if (error) throw error;
+
+  const revenue = Number(data?.revenue) || 0;
+  const orders = Number(data?.order_count) || 0;
+  return { revenue, orders, aov: orders ? revenue / orders : 0 };
+};
+
+export const fetchSalesSeries = async ({ start, end }, interval = 'day') => {
+  const { data, error } = await supabase.rpc('get_sales_series', {
+    start_at: start.toISOString(),
+    end_at: end.toISOString(),
+    bucket: interval,
+    tz: timeZone
+  });
+  if (error) throw error;
+  return data || [];
+};
+
+// Lays series rows onto every day/week of the range so empty periods still plot as zero
+export const fillBuckets = (rows, { start, end }, interval = 'day') => {
+  const byKey = Object.fromEntries(rows.map(row => [row.bucket_start, row]));
+  const buckets = [];
+  for (let d = interval === 'week' ? startOfWeek(start) : start; d < end; d = addDays(d, interval === 'week' ? 7 : 1)) {
+    const key = toDateInput(d);
+    buckets.push({ key, date: d, revenue: Number(byKey[key]?.revenue) || 0, orders: Number(byKey[key]?.order_count) || 0 });
+  }
+  return buckets;
+};
+
+// Per-product profit rows for non-cancelled orders in [start, end), from the database function
+//   get_profit_report(start_at, end_at, category_filter, fabric_filter, design_filter) -> [{
+//     product_id, product_name, category_name, fabric_name, design_name,
+//     units_sold, revenue,                       -- sum(quantity * price_at_purchase)
+//     costed_revenue, cost_of_goods,             -- only lines whose product has a cost price > 0
+//     uncosted_units                             -- units sold with no cost price recorded
+//   }]
+// Cost of goods uses the product's current `product_costs.cost_price`.
+export const fetchProfitReport = async ({ start, end }, { category = '', fabric = '', design = '' } = {}) => {
+  const { data, error } = await supabase.rpc('get_profit_report', {
+    start_at: start.toISOString(),
+    end_at: end.toISOString(),
+    category_filter: category || null,
+    fabric_filter: fabric || null,
+    design_filter: design || null
+  });
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    ...row,
+    units_sold: Number(row.units_sold) || 0,
+    revenue: Number(row.revenue) || 0,
+    costed_revenue: Number(row.costed_revenue) || 0,
+    cost_of_goods: Number(row.cost_of_goods) || 0,
+    uncosted_units: Number(row.uncosted_units) || 0
+  }));
+};
+
+// Rolls profit rows (product or coupon) into one total. Margin is only meaningful on revenue we know the cost of,
+// and any discount given comes out of profit.
+export const summarizeProfit = (rows) => {
+  const totals = rows.reduce((acc, row) => ({
+    units_sold: acc.units_sold + row.units_sold,
+    revenue: acc.revenue + row.revenue,
+    costed_revenue: acc.costed_revenue + row.costed_revenue,
+    cost_of_goods: acc.cost_of_goods + row.cost_of_goods,
+    uncosted_units: acc.uncosted_units + row.uncosted_units,
+    discount_total: acc.discount_total + (row.discount_total || 0)
+  }), { units_sold: 0, revenue: 0, costed_revenue: 0, cost_of_goods: 0, uncosted_units: 0, discount_total: 0 });
+  return withProfit(totals);
+};
+
+export const withProfit = (totals) => {
+  const discount = totals.discount_total || 0;
+  const profit = totals.costed_revenue - totals.cost_of_goods - discount;
+  const netRevenue = totals.costed_revenue - discount;
+  return { ...totals, profit, margin: netRevenue > 0 ? (profit / netRevenue) * 100 : null };
+};
+
+// Units and revenue per variant for non-cancelled orders in [start, end), from the database function
+//   get_variant_sales(start_at, end_at, category_filter) -> [{
+//     variant_id, product_id, product_name, category_name, fabric_name, design_name,
+//     color_name, color_hex, size_name, units_sold, revenue
+//   }]
+// (order_items -> product_variants -> products/colors/sizes, products -> categories/fabrics/designs)
+export const fetchVariantSales = async ({ start, end }, category = '') => {
+  const { data, error } = await supabase.rpc('get_variant_sales', {
+    start_at: start.toISOString(),
+    end_at: end.toISOString(),
+    category_filter: category || null
+  });
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    ...row,
+    units_sold: Number(row.units_sold) || 0,
+    revenue: Number(row.revenue) || 0
+  }));
+};
+
+// Coupon redemptions in [start, end) from the orders' recorded coupon, from the database function
+//   get_coupon_performance(start_at, end_at) -> [{
+//     coupon_code,                               -- null row = orders without a coupon, the baseline
+//     order_count, units_sold, revenue,          -- revenue is line items before the discount
+//     discount_total,                            -- sum(orders.discount_amount)
+//     costed_revenue, cost_of_goods, uncosted_units
+//   }]
+export const fetchCouponPerformance = async ({ start, end }) => {
+  const { data, error } = await supabase.rpc('get_coupon_performance', {
+    start_at: start.toISOString(),
+    end_at: end.toISOString()
+  });
+  if (error) throw error;
+
+  return (data || []).map(row => withProfit({
+    ...row,
+    order_count: Number(row.order_count) || 0,
+    units_sold: Number(row.units_sold) || 0,
+    revenue: Number(row.revenue) || 0,
+    discount_total: Number(row.discount_total) || 0,
+    costed_revenue: Number(row.costed_revenue) || 0,
+    cost_of_goods: Number(row.cost_of_goods) || 0,
+    uncosted_units: Number(row.uncosted_units) || 0
+  }));
+};
@@ -0,0 +1,105 @@
+// Audit log export (CSV / JSON Lines). Rows are read in keyset pages on (created_at, id), newest first, so
+// entries logged while an export runs can't shift pages and repeat or skip rows, and each page is written
+// out as it arrives. The file streams to disk where the browser has the File System Access API; elsewhere
+// it is buffered in memory and downloaded once complete.
+export const EXPORT_PAGE_SIZE = 1000; // PostgREST's default max rows per request
+
+const BASE_COLUMNS = ['id', 'created_at', 'action_type', 'resource', 'description', 'user_email'];
+
+// { before: { price: 1 } } -> { 'meta.before.price': 1 }. Arrays stay as JSON in a single cell.
+const flattenMeta = (value, prefix = 'meta', out = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, v]) => flattenMeta(v, `${prefix}.${key}`, out));
+  } else {
+    out[prefix] = Array.isArray(value) ? JSON.stringify(value) : value;
+  }
+  return out;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Limits a query ordered by created_at desc, id desc to the rows after `cursor` (from it on when inclusive)
+export const afterCursor = (query, { created_at, id, inclusive }) =>
+  query.or(`created_at.lt."${created_at}",and(created_at.eq."${created_at}",id.${inclusive ? 'lte' : 'lt'}.${id})`);
+
+// Calls fetchPage(cursor) from `start` (null = newest row) until a short page comes back, handing each
+// page to onPage. Returns the first row read, so a second pass can cover exactly the same set.
+const walkPages = async (fetchPage, start, onPage) => {
+  let cursor = start;
+  let first = null;
+  for (;;) {
+    const { data, error } = await fetchPage(cursor);
+    if (error) throw error;
+    const rows = data || [];
+    first = first || rows[0] || null;
+    await onPage(rows);
+    if (rows.length < EXPORT_PAGE_SIZE) return first;
+    const last = rows[rows.length - 1];
+    cursor = { created_at: last.created_at, id: last.id, inclusive: false };
+  }
+};
+
+const download = (parts, filename, type) => {
+  const url = URL.createObjectURL(new Blob(parts, { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Must be called straight from the click, before any other await, since the save dialog needs the user
+// gesture. Returns { write, close, abort }; cancelling the dialog rejects with an AbortError.
+export const openExportFile = async (filename, type) => {
+  if (window.showSaveFilePicker) {
+    const handle = await window.showSaveFilePicker({ suggestedName: filename });
+    const stream = await handle.createWritable();
+    return { write: (text) => stream.write(text), close: () => stream.close(), abort: () => stream.abort() };
+  }
+
+  const parts = [];
+  return {
+    write: async (text) => { parts.push(text); },
+    close: async () => download(parts, filename, type),
+    abort: async () => { parts.length = 0; }
+  };
+};
+
+// Columns depend on the meta keys in the whole set, so CSV reads it twice: once for the keys, once to write.
+// onProgress(done) counts rows handled over both passes. Returns the number of rows written.
+export const exportLogsCsv = async (fetchPage, file, onProgress) => {
+  let done = 0;
+  const metaColumns = new Set();
+  const first = await walkPages(fetchPage, null, (rows) => {
+    rows.forEach(log => Object.keys(flattenMeta(log.meta_data || {})).forEach(col => metaColumns.add(col)));
+    onProgress?.(done += rows.length);
+  });
+
+  const columns = [...BASE_COLUMNS, ...[...metaColumns].sort()];
+  await file.write(columns.join(',') + '\n');
+  if (!first) return 0;
+
+  let written = 0;
+  await walkPages(fetchPage, { created_at: first.created_at, id: first.id, inclusive: true }, async (rows) => {
+    await file.write(rows.map(log => {
+      const row = { ...Object.fromEntries(BASE_COLUMNS.map(col => [col, log[col]])), ...flattenMeta(log.meta_data || {}) };
+      return columns.map(col => csvCell(row[col])).join(',') + '\n';
+    }).join(''));
+    written += rows.length;
+    onProgress?.(done += rows.length);
+  });
+  return written;
+};
+
+export const exportLogsJsonLines = async (fetchPage, file, onProgress) => {
+  let written = 0;
+  await walkPages(fetchPage, null, async (rows) => {
+    await file.write(rows.map(row => JSON.stringify(row) + '\n').join(''));
+    onProgress?.(written += rows.length);
+  });
+  return written;
+};
@@ -0,0 +1,32 @@
+import { supabase } from './supabase';
+
+// Category sale windows from the `sale_windows` table. A trigger on activity_logs fills it from the `Sale`
+// entries SalesManager writes with logAction (see supabase/migrations/20261019002000_campaigns.sql), so
+// windows outlive the logs' 30-day retention.
+
+// -> [{ categoryId, percent, start, end }], newest first. end: null = still running.
+export const fetchSaleWindows = async (limit) => {
+  const { data, error } = await supabase
+    .from('sale_windows')
+    .select('category_id, percent, start_at, end_at')
+    .order('start_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    categoryId: row.category_id,
+    percent: row.percent === null ? null : Number(row.percent),
+    start: new Date(row.start_at),
+    end: row.end_at ? new Date(row.end_at) : null
+  }));
+};
+
+// The window and an equally long one right before it (running sales are measured up to now)
+export const getComparisonRanges = (window) => {
+  const end = window.end || new Date();
+  const length = end - window.start;
+  return {
+    during: { start: window.start, end },
+    before: { start: new Date(window.start.getTime() - length), end: window.start }
+  };
+};
@@ -0,0 +1,47 @@
+import { supabase } from './supabase';
+
+// Discount a coupon gives on a subtotal, never more than the subtotal itself
+export const getCouponDiscount = (coupon, subtotal) => {
+  if (!coupon) return 0;
+  const discount = coupon.discount_type === 'percentage' ? (subtotal * coupon.value) / 100 : coupon.value;
+  return Math.min(Math.round(discount * 100) / 100, subtotal);
+};
+
+// Looks a code up and applies the same rules as checkout. Throws with a message fit for a toast.
+export const validateCoupon = async (code, subtotal) => {
+  const { data: coupon, error } = await supabase
+    .from('coupons')
+    .select('*')
+    .eq('code', code.trim().toUpperCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!coupon) throw new Error('Coupon not found');
+  if (!coupon.is_active) throw new Error('Coupon is inactive');
+  if (coupon.expires_at && new Date(coupon.expires_at) < new Date()) throw new Error('Coupon has expired');
+  if (coupon.max_uses && (coupon.uses_count || 0) >= coupon.max_uses) throw new Error('Coupon usage limit reached');
+  if (subtotal < (coupon.min_order_amount || 0)) throw new Error(`Minimum order for this coupon is ₹${coupon.min_order_amount}`);
+
+  return coupon;
+};
+
+// What an order records about the coupon it redeemed (storefront checkout writes the same columns)
+export const couponOrderFields = (coupon, subtotal) => ({
+  coupon_id: coupon?.id ?? null,
+  coupon_code: coupon?.code ?? null,
+  discount_amount: getCouponDiscount(coupon, subtotal)
+});
+
+// Claims one use of the coupon before the order is written. The check and the increment happen in one statement
+// in `redeem_coupon`, so two orders can't both take the last use.
+export const redeemCoupon = async (coupon) => {
+  const { data: claimed, error } = await supabase.rpc('redeem_coupon', { coupon_id: coupon.id });
+  if (error) throw error;
+  if (!claimed) throw new Error('Coupon usage limit reached');
+};
+
+// Hands the use back when the order it was claimed for could not be created
+export const releaseCoupon = async (coupon) => {
+  const { error } = await supabase.rpc('release_coupon', { coupon_id: coupon.id });
+  if (error) console.error('Coupon release failed:', error);
+};
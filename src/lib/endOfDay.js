@@ -0,0 +1,224 @@
+import { supabase } from './supabase';
+import { logAction } from './logger';
+import { getDateRange } from './analytics';
+import { fetchLowStock } from './inventory';
+import { getPaymentMethodLabel } from './payments';
+
+const TOP_ITEMS = 10;
+const LOG_LIMIT = 1000;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const money = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+// Orders that reached a status today, from the time the orders table records for it (set by a trigger,
+// so storefront orders and changes made outside the admin count too)
+const STATUS_COLUMNS = { confirmed: 'confirmed_at', shipped: 'shipped_at', cancelled: 'cancelled_at' };
+
+const countReachedStatus = (column, from, to) => supabase
+  .from('orders')
+  .select('id', { count: 'exact', head: true })
+  .gte(column, from)
+  .lt(column, to);
+
+// Admin actions are only included for roles that can open the Activity Logs
+const fetchEndOfDayData = async ({ includeAdminActions }) => {
+  const { start, end } = getDateRange({ preset: 'today' });
+  const [from, to] = [start.toISOString(), end.toISOString()];
+  const statuses = Object.keys(STATUS_COLUMNS);
+
+  const [ordersRes, itemsRes, logsRes, lowStock, ...statusRes] = await Promise.all([
+    supabase.from('orders').select('id, order_number, status, payment_method, total_amount').gte('created_at', from).lt('created_at', to),
+    supabase
+      .from('order_items')
+      .select('quantity, price_at_purchase, variant:product_variants(id, size:sizes(name), color:colors(name), product:products(name)), order:orders!inner(created_at, status)')
+      .gte('order.created_at', from)
+      .lt('order.created_at', to)
+      .neq('order.status', 'cancelled'),
+    includeAdminActions
+      ? supabase.from('activity_logs').select('*').gte('created_at', from).lt('created_at', to).order('created_at', { ascending: true }).limit(LOG_LIMIT)
+      : { data: null, error: null },
+    fetchLowStock(),
+    ...statuses.map(status => countReachedStatus(STATUS_COLUMNS[status], from, to))
+  ]);
+  [ordersRes, itemsRes, logsRes, ...statusRes].forEach(({ error }) => { if (error) throw error; });
+
+  const orders = ordersRes.data || [];
+  const items = itemsRes.data || [];
+  const statusCounts = Object.fromEntries(statuses.map((status, i) => [status, statusRes[i].count || 0]));
+
+  const byMethod = {};
+  orders.filter(o => o.status !== 'cancelled').forEach(o => {
+    const row = byMethod[o.payment_method] || (byMethod[o.payment_method] = { count: 0, amount: 0 });
+    row.count += 1;
+    row.amount += o.total_amount || 0;
+  });
+
+  const byVariant = {};
+  items.forEach(item => {
+    const id = item.variant?.id;
+    const row = byVariant[id] || (byVariant[id] = {
+      name: item.variant?.product?.name || 'Unknown product',
+      variant: [item.variant?.color?.name, item.variant?.size?.name].filter(Boolean).join(' / '),
+      quantity: 0,
+      revenue: 0
+    });
+    row.quantity += item.quantity;
+    row.revenue += item.quantity * (item.price_at_purchase || 0);
+  });
+
+  // "Dropped below" = low now and sold today; anything else was already low this morning
+  const soldToday = new Set(Object.keys(byVariant).map(String));
+  const droppedBelow = lowStock.items.filter(v => soldToday.has(String(v.variant_id)));
+
+  return {
+    date: start,
+    created: orders.length,
+    statusCounts,
+    revenue: Object.values(byMethod).reduce((sum, m) => sum + m.amount, 0),
+    byMethod: Object.entries(byMethod).sort((a, b) => b[1].amount - a[1].amount),
+    topItems: Object.values(byVariant).sort((a, b) => b.quantity - a.quantity).slice(0, TOP_ITEMS),
+    droppedBelow,
+    lowStockTotal: lowStock.count,
+    logs: logsRes.data // null when admin actions aren't included
+  };
+};
+
+const buildHtml = (data) => `
+  <html>
+    <head>
+      <title>End of Day Report - ${data.date.toLocaleDateString()}</title>
+      <style>
+        body { font-family: sans-serif; padding: 20px; color: #1e293b; }
+        h1 { margin-bottom: 5px; }
+        h2 { font-size: 14px; text-transform: uppercase; color: #475569; margin: 30px 0 10px; }
+        .meta { font-size: 14px; color: #64748b; margin-bottom: 20px; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+        th { text-align: left; border-bottom: 2px solid #e2e8f0; padding: 10px; font-size: 12px; text-transform: uppercase; color: #475569; }
+        td { border-bottom: 1px solid #e2e8f0; padding: 10px; font-size: 14px; vertical-align: top; }
+        .total-row td { border-top: 2px solid #0f172a; border-bottom: none; font-weight: bold; font-size: 16px; padding-top: 15px; }
+        .badge { padding: 2px 6px; border-radius: 4px; font-size: 10px; font-weight: bold; border: 1px solid #ccc; }
+        .stats { display: flex; gap: 12px; }
+        .stat { flex: 1; border: 1px solid #e2e8f0; border-radius: 6px; padding: 12px; }
+        .stat-label { font-size: 12px; color: #64748b; }
+        .stat-value { font-size: 24px; font-weight: bold; }
+        .empty { font-size: 13px; color: #94a3b8; padding: 10px; }
+        @media print {
+          button { display: none; }
+          body { -webkit-print-color-adjust: exact; }
+        }
+      </style>
+    </head>
+    <body>
+      <div style="display: flex; justify-content: space-between; align-items: end;">
+        <div>
+          <h1>End of Day Report</h1>
+          <div class="meta">${data.date.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })} | Generated: ${new Date().toLocaleString()}</div>
+        </div>
+        <div style="text-align: right;">
+          <div style="font-size: 12px; color: #64748b;">Revenue Today</div>
+          <div style="font-size: 24px; font-weight: bold;">${money(data.revenue)}</div>
+        </div>
+      </div>
+
+      <h2>Orders</h2>
+      <div class="stats">
+        <div class="stat"><div class="stat-label">Created</div><div class="stat-value">${data.created}</div></div>
+        <div class="stat"><div class="stat-label">Confirmed</div><div class="stat-value">${data.statusCounts.confirmed}</div></div>
+        <div class="stat"><div class="stat-label">Shipped</div><div class="stat-value">${data.statusCounts.shipped}</div></div>
+        <div class="stat"><div class="stat-label">Cancelled</div><div class="stat-value">${data.statusCounts.cancelled}</div></div>
+      </div>
+
+      <h2>Revenue by Payment Method</h2>
+      ${data.byMethod.length === 0 ? '<div class="empty">No orders today.</div>' : `
+        <table>
+          <thead><tr><th>Method</th><th style="text-align: right;">Orders</th><th style="text-align: right;">Amount</th></tr></thead>
+          <tbody>
+            ${data.byMethod.map(([method, row]) => `
+              <tr><td>${escapeHtml(getPaymentMethodLabel(method))}</td><td style="text-align: right;">${row.count}</td><td style="text-align: right;">${money(row.amount)}</td></tr>
+            `).join('')}
+            <tr class="total-row"><td>Total</td><td style="text-align: right;">${data.byMethod.reduce((sum, [, row]) => sum + row.count, 0)}</td><td style="text-align: right;">${money(data.revenue)}</td></tr>
+          </tbody>
+        </table>
+      `}
+
+      <h2>Top Items</h2>
+      ${data.topItems.length === 0 ? '<div class="empty">Nothing sold today.</div>' : `
+        <table>
+          <thead><tr><th style="width: 60%;">Item</th><th style="text-align: right;">Qty</th><th style="text-align: right;">Revenue</th></tr></thead>
+          <tbody>
+            ${data.topItems.map(item => `
+              <tr>
+                <td>${escapeHtml(item.name)} <span style="color: #64748b;">(${escapeHtml(item.variant)})</span></td>
+                <td style="text-align: right;"><strong>${item.quantity}x</strong></td>
+                <td style="text-align: right;">${money(item.revenue)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+
+      <h2>Stock Dropped Below Threshold</h2>
+      ${data.droppedBelow.length === 0 ? '<div class="empty">No variant sold today went below its threshold.</div>' : `
+        <table>
+          <thead><tr><th style="width: 60%;">Variant</th><th style="text-align: right;">Left</th><th style="text-align: right;">Threshold</th></tr></thead>
+          <tbody>
+            ${data.droppedBelow.map(v => `
+              <tr>
+                <td>${escapeHtml(v.product_name)} <span style="color: #64748b;">(${escapeHtml(v.color_name)} / ${escapeHtml(v.size_name)})</span></td>
+                <td style="text-align: right;"><strong>${v.stock_quantity}</strong></td>
+                <td style="text-align: right;">${v.threshold}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      <div class="meta">${data.lowStockTotal} variants are below their threshold in total.</div>
+
+      ${data.logs === null ? '' : `
+        <h2>Admin Actions (${data.logs.length}${data.logs.length === LOG_LIMIT ? ', first ' + LOG_LIMIT + ' shown' : ''})</h2>
+        ${data.logs.length === 0 ? '<div class="empty">No admin activity today.</div>' : `
+          <table>
+            <thead><tr><th style="width: 10%;">Time</th><th style="width: 20%;">User</th><th style="width: 12%;">Action</th><th>Description</th></tr></thead>
+            <tbody>
+              ${data.logs.map(log => `
+                <tr>
+                  <td>${new Date(log.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</td>
+                  <td style="font-size: 12px;">${escapeHtml(log.user_email || 'System')}</td>
+                  <td><span class="badge">${escapeHtml(log.action_type)}</span></td>
+                  <td>${escapeHtml(log.description)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      `}
+
+      <div style="text-align: center; margin-top: 50px; font-size: 12px; color: #94a3b8;">
+        End of Report
+      </div>
+
+      <script>
+        window.onload = function() { window.print(); }
+      </script>
+    </body>
+  </html>
+`;
+
+// Opens the print window straight away (before any await) so popup blockers allow it, then fills it in.
+// Pass includeAdminActions only for owners, the same people who can open /logs.
+export const printEndOfDayReport = async ({ includeAdminActions = false } = {}) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) throw new Error('Allow pop-ups to print the report');
+  printWindow.document.write('<p style="font-family: sans-serif; color: #64748b;">Building report…</p>');
+
+  try {
+    const data = await fetchEndOfDayData({ includeAdminActions });
+    await logAction('PRINT', 'Order', 'Printed end of day report', { date: data.date.toISOString() });
+    printWindow.document.open();
+    printWindow.document.write(buildHtml(data));
+    printWindow.document.close();
+  } catch (error) {
+    printWindow.close();
+    throw error;
+  }
+};
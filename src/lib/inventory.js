@@ -0,0 +1,60 @@
+import { supabase } from './supabase';
+
+// A variant is low on stock when stock_quantity < its threshold, resolved as
+//   product_variants.low_stock_threshold ?? products.low_stock_threshold ?? store_settings.low_stock_threshold
+// The `low_stock_variants` view applies that rule to active products and returns
+//   variant_id, product_id, product_name, sku, color_name, color_hex, size_name, stock_quantity, threshold
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const PAGE_SIZE = 1000; // PostgREST's default max rows per request
+
+// Names go into the filter as quoted values, where `"` and `\` need escaping
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+// Rows after `last` in the list's (stock_quantity, product_name, variant_id) order
+const afterVariant = (query, { stock_quantity, product_name, variant_id }) => query.or(
+  `stock_quantity.gt.${stock_quantity},` +
+  `and(stock_quantity.eq.${stock_quantity},product_name.gt.${quote(product_name)}),` +
+  `and(stock_quantity.eq.${stock_quantity},product_name.eq.${quote(product_name)},variant_id.gt.${quote(variant_id)})`
+);
+
+const queryLowStock = ({ limit, after, count }) => {
+  let query = supabase
+    .from('low_stock_variants')
+    .select('*', count ? { count: 'exact' } : undefined)
+    .order('stock_quantity', { ascending: true })
+    .order('product_name', { ascending: true })
+    .order('variant_id', { ascending: true }) // Stable pages when stock and name tie
+    .limit(limit);
+  if (after) query = afterVariant(query, after);
+  return query;
+};
+
+// Most urgent first. Pass `limit` for a preview, otherwise every low variant is read page by page.
+// `count` is always the full total.
+export const fetchLowStock = async ({ limit } = {}) => {
+  if (limit) {
+    const { data, count, error } = await queryLowStock({ limit, count: true });
+    if (error) throw error;
+    return { items: data || [], count: count || 0 };
+  }
+
+  // Each page continues after the last row read, so stock moving meanwhile can't shift unread rows past it
+  const items = [];
+  let last = null;
+  for (;;) {
+    const { data, error } = await queryLowStock({ limit: PAGE_SIZE, after: last });
+    if (error) throw error;
+    items.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+    last = data[data.length - 1];
+  }
+  return { items, count: items.length };
+};
+
+// Threshold inputs: blank means "inherit", so it's stored as null
+export const parseThreshold = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? null : Math.max(0, parsed);
+};
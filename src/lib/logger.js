@@ -1,15 +1,134 @@
 import { supabase } from './supabase';
 
+// Failed log calls are kept here and retried with backoff, so an audit entry survives a dropped connection
+const QUEUE_KEY = 'ac-admin:audit-queue';
+export const AUDIT_QUEUE_EVENT = 'ac-admin:audit-queue-change';
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 10; // About half an hour of retries, then the entry is given up on
+
+const readQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  if (queue.length > 0) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  else localStorage.removeItem(QUEUE_KEY);
+  window.dispatchEvent(new Event(AUDIT_QUEUE_EVENT));
+};
+
+// occurred_at is only sent for retries, so the row keeps the time of the original action.
+// See supabase/migrations/20261019001200_log_admin_action.sql for the function.
+const sendLog = async (entry, isRetry = false) => {
+  const { error } = await supabase.rpc('log_admin_action', {
+    action_type: entry.actionType,
+    resource: entry.resource,
+    description: entry.description,
+    meta_data: entry.metaData,
+    ...(isRetry && { occurred_at: entry.occurredAt })
+  });
+  if (error) throw error;
+};
+
+// Only counts what `userId`'s session can flush, entries of other users on this browser wait for them
+export const getPendingLogCount = (userId) => (userId ? readQueue().filter(e => e.userId === userId).length : 0);
+
+const ENTITY_KEYS = ['productId', 'orderId'];
+
+// Route params arrive as strings while rows carry numbers: numeric ids are stored as numbers so a jsonb
+// containment lookup on productIds / orderIds matches however the id was passed in
+export const normalizeEntityId = (id) => (typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id);
+
+const normalizeEntityRefs = (metaData) => {
+  const meta = { ...metaData };
+  ENTITY_KEYS.forEach(key => {
+    if (meta[key] !== undefined) meta[key] = normalizeEntityId(meta[key]);
+    if (Array.isArray(meta[`${key}s`])) meta[`${key}s`] = meta[`${key}s`].map(normalizeEntityId);
+  });
+  return meta;
+};
+
+// Reference the affected record in metaData as productId / orderId (productIds / orderIds for bulk actions),
+// that's how the History panels find an entity's entries.
 export const logAction = async (actionType, resource, description, metaData = {}) => {
+  const entry = { actionType, resource, description, metaData: normalizeEntityRefs(metaData), occurredAt: new Date().toISOString() };
   try {
-    const { error } = await supabase.rpc('log_admin_action', {
-      action_type: actionType,
-      resource: resource,
-      description: description,
-      meta_data: metaData
-    });
-    if (error) console.error("Logging failed:", error);
+    await sendLog(entry);
   } catch (err) {
-    console.error("Logging error:", err);
+    // Remember who did it: the queue is only flushed by the same user's session. Signed-out calls are
+    // refused by log_admin_action, and a later session would be recorded as their author anyway.
+    const { data } = await supabase.auth.getSession().catch(() => ({ data: {} }));
+    const userId = data?.session?.user?.id;
+    if (!userId) return console.error("Logging failed while signed out, not queued:", err);
+
+    console.error("Logging failed, queued for retry:", err);
+    writeQueue([...readQueue(), {
+      ...entry,
+      id: crypto.randomUUID(),
+      userId,
+      attempts: 0,
+      nextAttemptAt: Date.now()
+    }]);
+  }
+};
+
+let flushing = false;
+
+// Retries due entries for the signed-in user. A Web Lock keeps two tabs from sending the same entry.
+export const flushAuditQueue = async ({ force = false } = {}) => {
+  if (flushing || !navigator.onLine) return;
+
+  const run = async () => {
+    const { data } = await supabase.auth.getSession();
+    const userId = data.session?.user?.id;
+    if (!userId) return;
+
+    // Entries without a user were queued before signed-out actions stopped being queued
+    if (readQueue().some(e => !e.userId)) writeQueue(readQueue().filter(e => e.userId));
+
+    for (const entry of readQueue()) {
+      if (entry.userId !== userId || (!force && entry.nextAttemptAt > Date.now())) continue;
+      try {
+        await sendLog(entry, true);
+        writeQueue(readQueue().filter(e => e.id !== entry.id));
+      } catch (err) {
+        console.error("Audit retry failed:", err);
+        const attempts = entry.attempts + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+          console.error("Audit entry dropped after", attempts, "attempts:", entry);
+          writeQueue(readQueue().filter(e => e.id !== entry.id));
+          continue;
+        }
+        const delay = Math.min(RETRY_BASE_MS * 2 ** attempts, RETRY_MAX_MS);
+        writeQueue(readQueue().map(e => e.id === entry.id ? { ...e, attempts, nextAttemptAt: Date.now() + delay } : e));
+      }
+    }
+  };
+
+  flushing = true;
+  try {
+    if (navigator.locks) await navigator.locks.request('ac-admin:audit-flush', { ifAvailable: true }, lock => lock && run());
+    else await run();
+  } finally {
+    flushing = false;
   }
-};
\ No newline at end of file
+};
+
+// Before/after pair for UPDATE entries, keeping only the fields that changed.
+// Snapshots are flat objects keyed by column name; ActivityLogs renders the result as a field-level diff.
+export const diffSnapshots = (before = {}, after = {}) => {
+  const diff = { before: {}, after: {} };
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    const oldValue = before[key] ?? null;
+    const newValue = after[key] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      diff.before[key] = oldValue;
+      diff.after[key] = newValue;
+    }
+  });
+  return diff;
+};
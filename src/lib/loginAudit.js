@@ -0,0 +1,18 @@
+import { supabase } from './supabase';
+import { logAction } from './logger';
+
+// Failed sign-ins and lockouts are recorded and enforced by Supabase Auth hooks in the database
+// (20261019000600_login_lockout.sql), so the browser only asks why an attempt was refused.
+
+// Lockout expiry (Date) for an email, or null if it may sign in
+export const getLoginLockout = async (email) => {
+  const { data, error } = await supabase.rpc('get_login_lockout', { email });
+  if (error) console.error("Lockout check failed:", error);
+  return data && new Date(data) > new Date() ? new Date(data) : null;
+};
+
+// Every manual sign-out goes through here so sessions can be reconstructed from the log
+export const logOut = async (email, reason = 'manual') => {
+  await logAction('LOGOUT', 'Auth', `User logged out: ${email}`, { reason });
+  await supabase.auth.signOut();
+};
@@ -0,0 +1,33 @@
+import { supabase } from './supabase';
+
+// Codes are shown once and only their SHA-256 hashes are stored
+const normalizeCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const hashBackupCode = async (code) => {
+  const bytes = new TextEncoder().encode(normalizeCode(code));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Replaces any previous set of backup codes for the user. The codes are generated by the database, which only
+// does so for an aal2 session, and returned in plain text this once.
+export const createBackupCodes = async () => {
+  const { data, error } = await supabase.rpc('generate_mfa_backup_codes');
+  if (error) throw error;
+  return data || [];
+};
+
+// A valid code is marked used and the user's TOTP factors are removed server-side,
+// so they can get in at aal1 and must enroll again.
+export const redeemBackupCode = async (code) => {
+  const { data, error } = await supabase.rpc('redeem_mfa_backup_code', { code_hash: await hashBackupCode(code) });
+  if (error) throw error;
+  return data === true;
+};
+
+// First verified TOTP factor, used for the login challenge
+export const getTotpFactor = async () => {
+  const { data, error } = await supabase.auth.mfa.listFactors();
+  if (error) throw error;
+  return data?.totp?.[0] || null;
+};
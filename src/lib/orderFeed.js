@@ -0,0 +1,46 @@
+import { supabase } from './supabase';
+
+// Live `orders` changes over Supabase Realtime (published by 20261019001900_orders_realtime.sql; RLS applies per subscriber).
+// Each subscriber gets its own channel; `name` only has to be unique per mounted component.
+export const subscribeToOrders = (name, { onInsert, onUpdate, onDelete } = {}) => {
+  const channel = supabase
+    .channel(`orders-feed:${name}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'orders' }, (payload) => {
+      if (payload.eventType === 'INSERT') onInsert?.(payload.new);
+      else if (payload.eventType === 'UPDATE') onUpdate?.(payload.new, payload.old);
+      else if (payload.eventType === 'DELETE') onDelete?.(payload.old);
+    })
+    .subscribe();
+
+  return () => { supabase.removeChannel(channel); };
+};
+
+// New-order sound is a per-browser preference, off by default
+const ORDER_SOUND_KEY = 'ac-admin:order-sound';
+export const ORDER_SOUND_EVENT = 'ac-admin:order-sound-changed';
+
+export const isOrderSoundEnabled = () => localStorage.getItem(ORDER_SOUND_KEY) === 'on';
+export const setOrderSoundEnabled = (enabled) => {
+  localStorage.setItem(ORDER_SOUND_KEY, enabled ? 'on' : 'off');
+  window.dispatchEvent(new Event(ORDER_SOUND_EVENT));
+};
+
+// Two-note chime, generated so there's no audio asset to ship. Browsers may block it until the page has had a click.
+export const playOrderChime = () => {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+
+  const ctx = new AudioCtx();
+  [880, 1318.5].forEach((frequency, i) => {
+    const start = ctx.currentTime + i * 0.15;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + 0.4);
+  });
+  setTimeout(() => ctx.close(), 1000);
+};
@@ -0,0 +1,79 @@
+import { supabase } from './supabase';
+import { logAction, diffSnapshots } from './logger';
+
+// Values CreateOrder (and the storefront) write to orders.payment_method
+export const PAYMENT_METHODS = {
+  upi: 'UPI',
+  cod: 'Cash on Delivery',
+  bank_transfer: 'Bank Transfer'
+};
+export const getPaymentMethodLabel = (method) => PAYMENT_METHODS[method] || method || 'Unknown';
+
+// orders.payment_status: pending -> received (money in) -> reconciled (matched against the bank/UPI statement).
+// payment_reference holds the UTR / transaction id / courier remittance number.
+export const PAYMENT_STATUSES = ['pending', 'received', 'reconciled'];
+
+// Order count and amount per payment method, order status and payment status in [start, end), from the database function
+//   get_payment_breakdown(start_at, end_at) -> [{ payment_method, status, payment_status, order_count, amount }]
+export const fetchPaymentBreakdown = async ({ start, end }) => {
+  const { data, error } = await supabase.rpc('get_payment_breakdown', {
+    start_at: start.toISOString(),
+    end_at: end.toISOString()
+  });
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    ...row,
+    payment_status: row.payment_status || 'pending',
+    order_count: Number(row.order_count) || 0,
+    amount: Number(row.amount) || 0
+  }));
+};
+
+const PAGE_SIZE = 1000; // PostgREST's default max rows per request
+
+// Every COD order not yet collected, whatever its date, read page by page. Cancelled orders owe nothing.
+// Pages continue after the last row read (keyset on created_at, id), so orders collected meanwhile
+// leaving the set can't shift unread rows past the next page.
+export const fetchOutstandingCod = async () => {
+  const orders = [];
+  let last = null;
+  for (;;) {
+    let query = supabase
+      .from('orders')
+      .select('id, order_number, customer_name, total_amount, status, created_at')
+      .eq('payment_method', 'cod')
+      .neq('status', 'cancelled')
+      .or('payment_status.is.null,payment_status.eq.pending')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }) // Stable pages when timestamps tie
+      .limit(PAGE_SIZE);
+    if (last) query = query.or(`created_at.gt."${last.created_at}",and(created_at.eq."${last.created_at}",id.gt.${last.id})`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    orders.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return orders;
+    last = data[data.length - 1];
+  }
+};
+
+// `reference` undefined keeps the stored one; an empty or blank string clears it
+export const updatePaymentStatus = async (order, paymentStatus, reference) => {
+  const before = { payment_status: order.payment_status || 'pending', payment_reference: order.payment_reference || null };
+  const after = { payment_status: paymentStatus, payment_reference: reference === undefined ? before.payment_reference : reference?.trim() || null };
+
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ ...after, payment_updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  await logAction('UPDATE', 'Order', `Marked payment for Order #${order.order_number} as ${paymentStatus}`, {
+    orderId: order.id,
+    ...diffSnapshots(before, after)
+  });
+  return data;
+};
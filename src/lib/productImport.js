@@ -0,0 +1,212 @@
+import { supabase } from './supabase';
+import { logAction } from './logger';
+
+// Spreadsheet layout: one row per variant. Rows with the same product name form one product; product
+// columns (price, category, ...) only need filling on one of its rows. Lists (tags, image URLs) are
+// separated by "|" or ",". Image URLs belong to the row's color, the first one becomes the primary image.
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Product Name', required: true, aliases: ['product', 'product name', 'title'] },
+  { key: 'description', label: 'Description', aliases: ['details'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['mrp', 'selling price'] },
+  { key: 'sale_price', label: 'Sale Price', aliases: ['offer price', 'discounted price'] },
+  { key: 'cost_price', label: 'Cost Price', aliases: ['cost'] },
+  { key: 'category', label: 'Category', required: true },
+  { key: 'fabric', label: 'Fabric', required: true },
+  { key: 'design', label: 'Design', required: true },
+  { key: 'tags', label: 'Tags' },
+  { key: 'color', label: 'Color', required: true, aliases: ['colour'] },
+  { key: 'size', label: 'Size', required: true },
+  { key: 'sku', label: 'SKU' },
+  { key: 'stock', label: 'Stock', aliases: ['qty', 'quantity', 'stock quantity'] },
+  { key: 'image_urls', label: 'Image URLs', aliases: ['images', 'image', 'image url'] }
+];
+
+// Fields that describe the product rather than one variant
+const PRODUCT_FIELDS = ['description', 'price', 'sale_price', 'cost_price', 'category', 'fabric', 'design', 'tags'];
+const SKU_CHECK_CHUNK = 200; // Keeps the .in() filter URL short
+
+const normalize = (value) => value.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+const splitList = (value) => value.split(/[|,]/).map(v => v.trim()).filter(Boolean);
+
+// Same pattern AddProduct generates for SKUs left blank
+const slugify = (value) => value.toLowerCase().replace(/ /g, '-').replace(/[^\w-]+/g, '');
+
+// { [fieldKey]: headerIndex } for headers that match a field's label, key or aliases
+export const guessMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const names = [field.key, field.label, ...(field.aliases || [])].map(normalize);
+    const index = headers.findIndex(h => names.includes(normalize(h)));
+    if (index !== -1) mapping[field.key] = index;
+  });
+  return mapping;
+};
+
+// Looks names up case-insensitively in an attribute table's rows
+const indexByName = (rows) => Object.fromEntries(rows.map(r => [normalize(r.name), r]));
+
+const parsePrice = (value) => (value === '' ? null : Number(value.replace(/[₹,\s]/g, '')));
+
+// Dry run: turns mapped rows into the products that would be created, without touching the database.
+// `meta` holds the attribute tables: { categories, fabrics, designs, tags, colors, sizes }.
+// Returns { products, errors } where errors are { row, message } and products with errors are left out.
+export const buildImportPlan = (rows, mapping, meta) => {
+  const lookups = Object.fromEntries(Object.entries(meta).map(([key, list]) => [key, indexByName(list)]));
+  const errors = [];
+  const groups = new Map();
+
+  rows.forEach(({ number, cells }) => {
+    const get = (key) => (mapping[key] === undefined ? '' : cells[mapping[key]] ?? '');
+    const name = get('name');
+    if (!name) return errors.push({ row: number, message: 'Product name is missing' });
+
+    const key = normalize(name);
+    if (!groups.has(key)) groups.set(key, { name, rows: [], fields: {} });
+    const group = groups.get(key);
+    group.rows.push({ number, get });
+
+    // First filled value wins; a different value on a later row is a mistake in the sheet
+    PRODUCT_FIELDS.forEach(field => {
+      const value = get(field);
+      if (!value) return;
+      if (group.fields[field] === undefined) group.fields[field] = value;
+      else if (group.fields[field] !== value) errors.push({ row: number, message: `${name}: ${field.replace('_', ' ')} "${value}" differs from "${group.fields[field]}" on an earlier row` });
+    });
+  });
+
+  const products = [];
+  groups.forEach(group => {
+    const firstRow = group.rows[0].number;
+    const productErrors = [];
+    const fail = (row, message) => productErrors.push({ row, message: `${group.name}: ${message}` });
+    const lookup = (table, value, label, row) => {
+      if (!value) { fail(row, `${label} is missing`); return null; }
+      const match = lookups[table][normalize(value)];
+      if (!match) fail(row, `unknown ${label.toLowerCase()} "${value}"`);
+      return match || null;
+    };
+
+    const { fields } = group;
+    const price = parsePrice(fields.price || '');
+    const salePrice = parsePrice(fields.sale_price || '');
+    const costPrice = parsePrice(fields.cost_price || '');
+    if (price === null) fail(firstRow, 'price is missing');
+    else if (!(price > 0)) fail(firstRow, `invalid price "${fields.price}"`);
+    if (salePrice !== null && !(salePrice > 0 && salePrice < price)) fail(firstRow, `sale price must be below the price`);
+    if (costPrice !== null && !(costPrice >= 0)) fail(firstRow, `invalid cost price "${fields.cost_price}"`);
+
+    const category = lookup('categories', fields.category, 'Category', firstRow);
+    const fabric = lookup('fabrics', fields.fabric, 'Fabric', firstRow);
+    const design = lookup('designs', fields.design, 'Design', firstRow);
+    const tags = splitList(fields.tags || '').map(tag => lookup('tags', tag, 'Tag', firstRow)).filter(Boolean);
+
+    const variants = [];
+    const images = [];
+    const seen = new Set();
+    group.rows.forEach(({ number, get }) => {
+      const color = lookup('colors', get('color'), 'Color', number);
+      const size = lookup('sizes', get('size'), 'Size', number);
+      const stockValue = get('stock');
+      const stock = stockValue === '' ? 0 : Number(stockValue);
+      if (!Number.isInteger(stock) || stock < 0) fail(number, `invalid stock "${stockValue}"`);
+
+      splitList(get('image_urls')).forEach(url => {
+        if (!/^https?:\/\//i.test(url)) return fail(number, `image "${url}" is not a web address`);
+        if (color && !images.some(img => img.image_url === url)) images.push({ color_id: color.id, image_url: url, is_primary: images.length === 0 });
+      });
+
+      if (!color || !size) return;
+      const variantKey = `${color.id}|${size.id}`;
+      if (seen.has(variantKey)) return fail(number, `${color.name} / ${size.name} is listed twice`);
+      seen.add(variantKey);
+      variants.push({
+        row: number,
+        color_id: color.id,
+        size_id: size.id,
+        colorName: color.name,
+        sizeName: size.name,
+        sku: get('sku') || `${slugify(group.name)}-${color.name.toLowerCase()}-${size.name}`,
+        stock_quantity: stock
+      });
+    });
+    if (images.length === 0) fail(firstRow, 'at least one image URL is needed');
+
+    if (productErrors.length > 0) return errors.push(...productErrors);
+    products.push({
+      name: group.name,
+      rows: group.rows.map(r => r.number),
+      description: fields.description || '',
+      price,
+      sale_price: salePrice,
+      is_on_sale: salePrice !== null,
+      cost_price: costPrice,
+      category_id: category.id,
+      fabric_id: fabric.id,
+      design_id: design.id,
+      categoryName: category.name,
+      tag_ids: [...new Set(tags.map(t => t.id))],
+      variants,
+      images
+    });
+  });
+
+  return { products, errors: errors.sort((a, b) => a.row - b.row) };
+};
+
+// SKUs must be unique within the file and against existing variants (same check as EditProduct.onUpdate).
+// Returns more { row, message } errors; an empty array means the plan can be imported.
+export const checkSkuConflicts = async (products) => {
+  const errors = [];
+  const rowsBySku = {};
+  products.forEach(p => p.variants.forEach(v => {
+    (rowsBySku[v.sku] = rowsBySku[v.sku] || []).push({ row: v.row, product: p.name });
+  }));
+
+  Object.entries(rowsBySku).forEach(([sku, uses]) => {
+    if (uses.length > 1) uses.slice(1).forEach(use => errors.push({ row: use.row, message: `${use.product}: SKU '${sku}' is used more than once in the file` }));
+  });
+
+  const skus = Object.keys(rowsBySku);
+  for (let i = 0; i < skus.length; i += SKU_CHECK_CHUNK) {
+    const { data, error } = await supabase
+      .from('product_variants')
+      .select('sku, products(name)')
+      .in('sku', skus.slice(i, i + SKU_CHECK_CHUNK));
+    if (error) throw error;
+    (data || []).forEach(conflict => {
+      const use = rowsBySku[conflict.sku][0];
+      errors.push({ row: use.row, message: `${use.product}: SKU '${conflict.sku}' is already taken by product "${conflict.products?.name}"` });
+    });
+  }
+  return errors.sort((a, b) => a.row - b.row);
+};
+
+// Creates every product with its cost, tags, variants and images in one call. The `import_products(products jsonb)`
+// function inserts them in a single transaction, so a failure leaves nothing half-imported, and returns the new ids.
+export const importProducts = async (products, fileName) => {
+  const payload = products.map(p => ({
+    name: p.name,
+    description: p.description,
+    price: p.price,
+    sale_price: p.sale_price,
+    is_on_sale: p.is_on_sale,
+    cost_price: p.cost_price,
+    category_id: p.category_id,
+    fabric_id: p.fabric_id,
+    design_id: p.design_id,
+    tag_ids: p.tag_ids,
+    variants: p.variants.map(({ color_id, size_id, sku, stock_quantity }) => ({ color_id, size_id, sku, stock_quantity })),
+    images: p.images
+  }));
+
+  const { data: productIds, error } = await supabase.rpc('import_products', { products: payload });
+  if (error) throw error;
+
+  const variantCount = products.reduce((sum, p) => sum + p.variants.length, 0);
+  await logAction('CREATE', 'Product', `Imported ${products.length} products (${variantCount} variants) from ${fileName}`, {
+    productIds: productIds || [],
+    fileName,
+    variantCount
+  });
+  return productIds || [];
+};
@@ -0,0 +1,178 @@
+import { supabase } from './supabase';
+import { logAction } from './logger';
+
+// The product list reads from the `product_list` view: every products column plus
+//   total_stock    sum of variant stock_quantity
+//   effective_price sale_price when is_on_sale, else price
+//   cost_price     from product_costs (null when not entered)
+//   margin         (effective_price - cost_price) / effective_price * 100, null without a cost
+//   skus           variant SKUs joined with spaces, for search
+//   tag_ids        array of tag ids, for the tag filter
+// so filtering, sorting and paging all happen in the database.
+export const PRODUCTS_PAGE_SIZE = 25;
+
+export const PRODUCT_SORTS = [
+  { value: 'newest', label: 'Newest First', column: 'created_at', ascending: false },
+  { value: 'oldest', label: 'Oldest First', column: 'created_at', ascending: true },
+  { value: 'price_asc', label: 'Price: Low to High', column: 'effective_price', ascending: true },
+  { value: 'price_desc', label: 'Price: High to Low', column: 'effective_price', ascending: false },
+  { value: 'stock_asc', label: 'Stock: Low to High', column: 'total_stock', ascending: true },
+  { value: 'stock_desc', label: 'Stock: High to Low', column: 'total_stock', ascending: false },
+  { value: 'margin_desc', label: 'Margin: High to Low', column: 'margin', ascending: false },
+  { value: 'margin_asc', label: 'Margin: Low to High', column: 'margin', ascending: true }
+];
+
+const PRODUCT_LIST_SELECT = `
+  *,
+  category:categories(name),
+  fabric:fabrics(name),
+  design:designs(name),
+  product_tags(
+    tag:tags(name)
+  ),
+  variants:product_variants(
+    id,
+    color_id,
+    stock_quantity,
+    size:sizes(name),
+    color:colors(name, hex_code)
+  ),
+  images:product_images(image_url, is_primary, color_id)
+`;
+
+// Characters with meaning inside a PostgREST or() filter
+const cleanSearch = (term) => term.replace(/[,()*%\\]/g, ' ').trim();
+
+// Filters hold ids; status is 'active' | 'archived' | 'on_sale'
+const applyProductFilters = (query, { search, category, fabric, design, tag, status }) => {
+  const term = cleanSearch(search || '');
+  if (term) query = query.or(`name.ilike.%${term}%,skus.ilike.%${term}%`);
+  if (category) query = query.eq('category_id', category);
+  if (fabric) query = query.eq('fabric_id', fabric);
+  if (design) query = query.eq('design_id', design);
+  if (tag) query = query.contains('tag_ids', [tag]);
+  if (status === 'active') query = query.eq('is_active', true);
+  if (status === 'archived') query = query.eq('is_active', false);
+  if (status === 'on_sale') query = query.eq('is_on_sale', true);
+  return query;
+};
+
+// Returns { rows, total } for one page
+export const fetchProductsPage = async ({ sort, page, ...filters }) => {
+  const order = PRODUCT_SORTS.find(s => s.value === sort) || PRODUCT_SORTS[0];
+  const query = applyProductFilters(supabase
+    .from('product_list')
+    .select(PRODUCT_LIST_SELECT, { count: 'exact' })
+    .order(order.column, { ascending: order.ascending, nullsFirst: false })
+    .order('id', { ascending: true }) // Stable pages when the sort column ties
+    .range((page - 1) * PRODUCTS_PAGE_SIZE, page * PRODUCTS_PAGE_SIZE - 1), filters);
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+
+  // Flatten tags for easier usage
+  const rows = (data || []).map(p => ({
+    ...p,
+    tagsList: p.product_tags?.map(pt => pt.tag?.name).filter(Boolean) || []
+  }));
+  return { rows, total: count || 0 };
+};
+
+// --- Bulk edit ---
+
+// Bulk edits send the ids in the request URL, so a selection is capped to keep it within limits
+export const BULK_SELECT_LIMIT = 500;
+
+// Columns applyBulkEdit reads from each selected product
+const BULK_COLUMNS = 'id, name, price, sale_price, is_active, category_id, fabric_id, design_id, cost_price';
+
+// Every product matching the filters (up to BULK_SELECT_LIMIT), for "select all matching"
+export const fetchMatchingProducts = async (filters) => {
+  const { data, error } = await applyProductFilters(supabase
+    .from('product_list')
+    .select(BULK_COLUMNS)
+    .order('id', { ascending: true })
+    .range(0, BULK_SELECT_LIMIT - 1), filters);
+  if (error) throw error;
+  return data || [];
+};
+
+export const BULK_ACTIONS = [
+  { value: 'category', label: 'Change category' },
+  { value: 'fabric', label: 'Change fabric' },
+  { value: 'design', label: 'Change design' },
+  { value: 'add_tag', label: 'Add tag' },
+  { value: 'remove_tag', label: 'Remove tag' },
+  { value: 'publish', label: 'Publish' },
+  { value: 'hide', label: 'Hide' },
+  { value: 'price', label: 'Adjust price' },
+  { value: 'cost', label: 'Set cost price' }
+];
+
+const ATTRIBUTE_COLUMNS = { category: 'category_id', fabric: 'fabric_id', design: 'design_id' };
+
+const check = ({ error }) => {
+  if (error) throw error;
+};
+
+const formatAdjustment = ({ mode, amount }) => {
+  const sign = amount >= 0 ? '+' : '−';
+  return mode === 'percent' ? `${sign}${Math.abs(amount)}%` : `${sign}₹${Math.abs(amount)}`;
+};
+
+// Applies one bulk action to `products` (rows from fetchProductsPage or fetchMatchingProducts) in a single write
+// and logs one audit entry listing every affected id. previousValues records what each product had before, for
+// tags as had_tag. The edit is { action, value, label } for attribute/tag actions and { action, mode, amount }
+// for prices ('percent' | 'fixed') and cost. Returns a summary for the toast.
+export const applyBulkEdit = async (products, edit) => {
+  const ids = products.map(p => p.id);
+  const { action } = edit;
+  let summary;
+  let previousValues;
+
+  if (ATTRIBUTE_COLUMNS[action]) {
+    const column = ATTRIBUTE_COLUMNS[action];
+    previousValues = products.map(p => ({ id: p.id, [column]: p[column] ?? null }));
+    check(await supabase.from('products').update({ [column]: edit.value }).in('id', ids));
+    summary = `Set ${action} to "${edit.label}"`;
+  } else if (action === 'publish' || action === 'hide') {
+    previousValues = products.map(p => ({ id: p.id, is_active: p.is_active }));
+    check(await supabase.from('products').update({ is_active: action === 'publish' }).in('id', ids));
+    summary = action === 'publish' ? 'Published' : 'Hidden';
+  } else if (action === 'add_tag') {
+    const { data: tagged, error } = await supabase.from('product_tags').select('product_id').eq('tag_id', edit.value).in('product_id', ids);
+    if (error) throw error;
+    const alreadyTagged = new Set((tagged || []).map(t => t.product_id));
+    previousValues = ids.map(id => ({ id, had_tag: alreadyTagged.has(id) }));
+    const rows = ids.filter(id => !alreadyTagged.has(id)).map(id => ({ product_id: id, tag_id: edit.value }));
+    if (rows.length > 0) check(await supabase.from('product_tags').insert(rows));
+    summary = `Added tag "${edit.label}"`;
+  } else if (action === 'remove_tag') {
+    const { data: removed, error } = await supabase.from('product_tags').delete().eq('tag_id', edit.value).in('product_id', ids).select('product_id');
+    if (error) throw error;
+    const hadTag = new Set((removed || []).map(t => t.product_id));
+    previousValues = ids.map(id => ({ id, had_tag: hadTag.has(id) }));
+    summary = `Removed tag "${edit.label}"`;
+  } else if (action === 'price') {
+    // One statement in `bulk_adjust_prices`: every price moves or none does, and the previous prices it
+    // returns are the ones it actually replaced. Sale prices move with the price so running discounts are kept.
+    const { data: previous, error } = await supabase.rpc('bulk_adjust_prices', { product_ids: ids.map(String), mode: edit.mode, amount: edit.amount });
+    if (error) throw error;
+    const byId = Object.fromEntries((previous || []).map(p => [p.product_id, p]));
+    previousValues = ids.filter(id => byId[String(id)]).map(id => ({ id, price: byId[String(id)].price, sale_price: byId[String(id)].sale_price }));
+    summary = `Adjusted price by ${formatAdjustment(edit)}`;
+  } else if (action === 'cost') {
+    previousValues = products.map(p => ({ id: p.id, cost_price: p.cost_price ?? null }));
+    check(await supabase.from('product_costs').upsert(ids.map(id => ({ product_id: id, cost_price: edit.amount }))));
+    summary = `Set cost price to ₹${edit.amount}`;
+  } else {
+    throw new Error(`Unknown bulk action: ${action}`);
+  }
+
+  await logAction('UPDATE', 'Product', `Bulk edit on ${ids.length} products: ${summary}`, {
+    productIds: ids,
+    bulkAction: action,
+    ...(previousValues && { previousValues })
+  });
+  return summary;
+};
@@ -0,0 +1,128 @@
+import { supabase } from './supabase';
+import { logAction } from './logger';
+
+const hasKeys = (obj) => !!obj && typeof obj === 'object' && Object.keys(obj).length > 0;
+
+const check = ({ error }) => {
+  if (error) throw error;
+};
+
+// --- Handlers: each restores the state recorded in the log entry's meta_data ---
+
+const revertProductUpdate = async (meta) => {
+  const productId = meta.productId || meta.id;
+  const { cost_price, ...fields } = meta.before || {};
+
+  if (hasKeys(fields)) check(await supabase.from('products').update(fields).eq('id', productId));
+  if (cost_price !== undefined && cost_price !== null) {
+    check(await supabase.from('product_costs').upsert({ product_id: productId, cost_price }));
+  }
+
+  for (const v of meta.variants || []) {
+    if (!v.before) {
+      // Added by the update: empty it rather than delete, it may already be on orders
+      check(await supabase.from('product_variants').update({ stock_quantity: 0 })
+        .eq('product_id', productId).eq('color_id', v.color_id).eq('size_id', v.size_id));
+    } else if (v.color_id && v.size_id) {
+      // Also recreates variants the update removed
+      check(await supabase.from('product_variants').upsert({ id: v.id, product_id: productId, color_id: v.color_id, size_id: v.size_id, ...v.before }));
+    } else {
+      check(await supabase.from('product_variants').update(v.before).eq('id', v.id));
+    }
+  }
+};
+
+const revertSettingsUpdate = async (meta) => {
+  check(await supabase.from('store_settings').update(meta.before).eq('id', 1));
+};
+
+// Restores the coupon and logs the revert in one call, see revertLogEntry
+const revertCouponDelete = async (meta, revert) => {
+  check(await supabase.rpc('revert_coupon_delete', { log_id: revert.logId, description: revert.description, meta_data: revert.meta }));
+};
+
+const revertTrendingRemoval = async (meta) => {
+  check(await supabase.from('trending_products').insert(meta.before));
+};
+
+// Launch and stop both record every product's sale state in the category beforehand
+const revertCategorySale = async (meta) => {
+  const groups = {};
+  meta.previousPrices.forEach(p => {
+    const key = JSON.stringify([p.is_on_sale, p.sale_price]);
+    (groups[key] = groups[key] || []).push(p.id);
+  });
+
+  for (const [key, ids] of Object.entries(groups)) {
+    const [is_on_sale, sale_price] = JSON.parse(key);
+    check(await supabase.from('products').update({ is_on_sale, sale_price }).in('id', ids));
+  }
+};
+
+const REVERTERS = [
+  {
+    matches: (log) => log.resource === 'Product' && log.action_type === 'UPDATE' && (hasKeys(log.meta_data.before) || log.meta_data.variants?.length > 0),
+    run: revertProductUpdate
+  },
+  {
+    matches: (log) => log.resource === 'Settings' && log.action_type === 'UPDATE' && hasKeys(log.meta_data.before),
+    run: revertSettingsUpdate
+  },
+  {
+    matches: (log) => log.resource === 'Coupon' && log.action_type === 'DELETE' && hasKeys(log.meta_data.before),
+    run: revertCouponDelete,
+    logsRevert: true
+  },
+  {
+    matches: (log) => log.resource === 'Trending' && log.action_type === 'DELETE' && hasKeys(log.meta_data.before),
+    run: revertTrendingRemoval
+  },
+  {
+    matches: (log) => log.resource === 'Sale' && log.meta_data.categoryId && Array.isArray(log.meta_data.previousPrices),
+    run: revertCategorySale
+  }
+];
+
+const findReverter = (log) => (log.meta_data ? REVERTERS.find(r => r.matches(log)) : undefined);
+
+// Entries logged before state was recorded (or of other kinds) can't be reverted
+export const canRevert = (log) => !!findReverter(log);
+
+// Ids (as strings, the way meta_data->> returns them) of the given entries that a REVERT entry already points at
+export const fetchRevertedIds = async (logIds) => {
+  if (logIds.length === 0) return new Set();
+  const { data, error } = await supabase
+    .from('activity_logs')
+    .select('meta_data->>revertedLogId')
+    .eq('action_type', 'REVERT')
+    .in('meta_data->>revertedLogId', logIds.map(String));
+  if (error) throw error;
+  return new Set((data || []).map(row => row.revertedLogId));
+};
+
+// Restores the state from before the logged change, then logs the revert itself.
+// Each entry can only be reverted once: a second run would re-apply stale values.
+// Reverters marked logsRevert do the check, the restore and the log atomically in the database.
+export const revertLogEntry = async (log) => {
+  const reverter = findReverter(log);
+  if (!reverter) throw new Error('This entry cannot be reverted');
+
+  // The revert's own diff is the original one flipped
+  const { before, after, variants, previousPrices: _previousPrices, ...rest } = log.meta_data;
+  const meta = { ...rest, revertedLogId: log.id };
+  if (before !== undefined || after !== undefined) {
+    meta.before = after ?? null;
+    meta.after = before ?? null;
+  }
+  if (variants) meta.variants = variants.map(v => ({ ...v, before: v.after, after: v.before }));
+  const description = `Reverted: ${log.description}`;
+
+  if (reverter.logsRevert) {
+    await reverter.run(log.meta_data, { logId: log.id, description, meta });
+    return;
+  }
+
+  if ((await fetchRevertedIds([log.id])).size > 0) throw new Error('This change has already been reverted');
+  await reverter.run(log.meta_data);
+  await logAction('REVERT', log.resource, description, meta);
+};
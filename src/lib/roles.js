@@ -0,0 +1,29 @@
+// Staff roles, stored per user in the `admin_users` table
+export const ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  PACKER: 'packer'
+};
+
+export const ALL_ROLES = Object.values(ROLES);
+export const MANAGEMENT_ROLES = [ROLES.OWNER, ROLES.MANAGER];
+
+// Actions inside pages that need more than page access (mostly destructive buttons)
+const PERMISSIONS = {
+  'sales.emergency_stop': [ROLES.OWNER],
+  'coupons.delete': [ROLES.OWNER],
+  'products.archive': [ROLES.OWNER],
+  'attributes.delete': [ROLES.OWNER],
+  'orders.cancel': MANAGEMENT_ROLES
+};
+
+// No allowedRoles means "any signed-in staff member with a role"
+export const hasRole = (role, allowedRoles) => {
+  if (!role) return false;
+  return !allowedRoles || allowedRoles.includes(role);
+};
+
+export const canPerform = (role, permission) => hasRole(role, PERMISSIONS[permission] || []);
+
+// Landing page per role. Must be a route the role can open, otherwise ProtectedRoute loops.
+export const getHomePath = (role) => (role === ROLES.PACKER ? '/orders' : '/');
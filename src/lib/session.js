@@ -0,0 +1,34 @@
+// Idle-session bookkeeping. Kept in localStorage so page reloads and every open tab share the same clock.
+const LAST_ACTIVITY_KEY = 'ac-admin:last-activity';
+const IDLE_TIMEOUT_KEY = 'ac-admin:idle-timeout-minutes';
+
+export const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+export const MIN_IDLE_TIMEOUT_MINUTES = 1;
+export const MAX_IDLE_TIMEOUT_MINUTES = 24 * 60;
+export const IDLE_WARNING_SECONDS = 60;
+
+export const touchActivity = () => localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+export const getLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || null;
+export const clearActivity = () => localStorage.removeItem(LAST_ACTIVITY_KEY);
+
+// Id of the user a password recovery link signed in, for this tab only. Only that session may set a new
+// password on /reset-password; it is cleared once the password is changed or the user signs out.
+const RECOVERY_KEY = 'ac-admin:recovery-user';
+export const setRecoveryUser = (userId) => sessionStorage.setItem(RECOVERY_KEY, userId);
+export const getRecoveryUser = () => sessionStorage.getItem(RECOVERY_KEY);
+export const clearRecoveryUser = () => sessionStorage.removeItem(RECOVERY_KEY);
+
+// Whole minutes clamped to the allowed range, or null when the value is blank or not a number
+export const parseIdleTimeout = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const minutes = Math.round(Number(value));
+  if (!Number.isFinite(minutes)) return null;
+  return Math.min(MAX_IDLE_TIMEOUT_MINUTES, Math.max(MIN_IDLE_TIMEOUT_MINUTES, minutes));
+};
+
+// Local copy of `store_settings.idle_timeout_minutes`, refreshed from the DB on load and on save
+export const getIdleTimeoutMinutes = () => parseIdleTimeout(localStorage.getItem(IDLE_TIMEOUT_KEY)) || DEFAULT_IDLE_TIMEOUT_MINUTES;
+export const setIdleTimeoutMinutes = (minutes) => {
+  const value = parseIdleTimeout(minutes);
+  if (value !== null) localStorage.setItem(IDLE_TIMEOUT_KEY, String(value));
+};
@@ -0,0 +1,118 @@
+// Reads the first sheet of a .csv or .xlsx file into { headers, rows } of trimmed strings. Each row is
+// { number, cells } where number is the spreadsheet row number, for pointing users at errors.
+// XLSX is unzipped with the browser's DecompressionStream and parsed with DOMParser, so no library is needed.
+
+// RFC 4180: quoted fields may contain commas, newlines and "" for a literal quote
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows;
+};
+
+// --- XLSX (a zip of XML parts) ---
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Maps entry name -> loader, read from the zip's central directory
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let eocd = buffer.byteLength - 22;
+  while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error('This file is not a valid .xlsx workbook');
+
+  const decoder = new TextDecoder();
+  const entries = {};
+  let offset = view.getUint32(eocd + 16, true);
+  for (let i = 0; i < view.getUint16(eocd + 10, true); i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries[name] = async () => {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const bytes = new Uint8Array(buffer, dataStart, compressedSize);
+      return decoder.decode(method === 0 ? bytes : await inflate(bytes));
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+const textOf = (node) => [...node.getElementsByTagName('t')].map(t => t.textContent).join('');
+
+// "BC12" -> 54 (zero-based column index)
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+const parseXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const read = async (path) => (entries[path] ? parseXml(await entries[path]()) : null);
+
+  // First sheet in workbook order, resolved through the workbook relationships
+  const workbook = await read('xl/workbook.xml');
+  const rels = await read('xl/_rels/workbook.xml.rels');
+  const relId = workbook?.getElementsByTagName('sheet')[0]?.getAttribute('r:id');
+  const target = [...(rels?.getElementsByTagName('Relationship') || [])].find(r => r.getAttribute('Id') === relId)?.getAttribute('Target');
+  const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+
+  const sharedDoc = await read('xl/sharedStrings.xml');
+  const shared = sharedDoc ? [...sharedDoc.getElementsByTagName('si')].map(textOf) : [];
+  const sheet = await read(sheetPath);
+  if (!sheet) throw new Error('The workbook has no readable sheet');
+
+  return [...sheet.getElementsByTagName('row')].map((rowNode, position) => {
+    const row = [];
+    [...rowNode.getElementsByTagName('c')].forEach((cell, cellPosition) => {
+      const index = cell.getAttribute('r') ? columnIndex(cell.getAttribute('r')) : cellPosition;
+      const type = cell.getAttribute('t');
+      const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      row[index] = type === 's' ? shared[parseInt(value)] ?? '' : type === 'inlineStr' ? textOf(cell) : value;
+    });
+    return { number: parseInt(rowNode.getAttribute('r')) || position + 1, cells: Array.from(row, v => v ?? '') };
+  });
+};
+
+export const readSpreadsheet = async (file) => {
+  const isXlsx = /\.xlsx$/i.test(file.name);
+  if (!isXlsx && !/\.csv$/i.test(file.name)) throw new Error('Choose a .csv or .xlsx file');
+
+  const raw = isXlsx
+    ? await parseXlsx(await file.arrayBuffer())
+    : parseCsv((await file.text()).replace(/^\uFEFF/, '')).map((cells, i) => ({ number: i + 1, cells }));
+  const [headerRow, ...rows] = raw
+    .map(row => ({ ...row, cells: row.cells.map(v => String(v).trim()) }))
+    .filter(row => row.cells.some(Boolean));
+  if (!headerRow) throw new Error('The file is empty');
+
+  const headers = headerRow.cells.map((h, i) => h || `Column ${i + 1}`);
+  return { headers, rows: rows.map(row => ({ number: row.number, cells: headers.map((_, i) => row.cells[i] ?? '') })) };
+};
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Toaster } from 'sonner';
+import { UserCircle, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
+
+// Every staff member's own account: who they're signed in as, and their 2FA
+export default function Account() {
+  const { user, profile, role } = useAuth();
+
+  return (
+    <div className="max-w-3xl mx-auto pb-20 pt-6 px-6 space-y-6">
+      <Toaster position="top-right" richColors />
+
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <UserCircle className="text-slate-400" /> My Account
+        </h1>
+        <p className="text-slate-500">Your sign-in details and two-factor authentication.</p>
+      </div>
+
+      <section className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+        <div>
+          <div className="text-xs font-bold text-slate-500 uppercase mb-1">Name</div>
+          <div className="text-slate-900">{profile?.full_name || '—'}</div>
+        </div>
+        <div>
+          <div className="text-xs font-bold text-slate-500 uppercase mb-1">Email</div>
+          <div className="text-slate-900 break-all">{user?.email}</div>
+        </div>
+        <div>
+          <div className="text-xs font-bold text-slate-500 uppercase mb-1">Role</div>
+          <div className="text-slate-900 capitalize">{role}</div>
+        </div>
+      </section>
+
+      <section className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+        <div className="p-4 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+          <div className="p-2 bg-amber-50 text-amber-600 rounded-lg"><ShieldCheck size={18}/></div>
+          <h2 className="font-semibold text-slate-900">Two-Factor Authentication</h2>
+        </div>
+        <div className="p-6">
+          <TwoFactorSetup />
+        </div>
+      </section>
+    </div>
+  );
+}
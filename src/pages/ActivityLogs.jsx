@@ -1,5 +1,11 @@
 import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
+import AuditDiff from '../components/audit/AuditDiff';
+import { canRevert, fetchRevertedIds, revertLogEntry } from '../lib/revert';
+import { logAction } from '../lib/logger';
+import { EXPORT_PAGE_SIZE, afterCursor, exportLogsCsv, exportLogsJsonLines, openExportFile } from '../lib/auditExport';
+import { useConfirm } from '../context/ConfirmContext';
 import { toast, Toaster } from 'sonner';
 import {
   History,
@@ -13,43 +19,177 @@ import {
   PlusCircle,
   Clock,
   FileText,
-  Loader2
+  Loader2,
+  ShieldX,
+  RotateCcw,
+  Download,
+  ShieldCheck,
+  LogOut,
+  ChevronLeft,
+  ChevronRight,
+  X
 } from 'lucide-react';
 
+// Sign-in, sign-out, failed attempts (incl. lockouts) and step-up re-authentication
+const SECURITY_ACTIONS = ['LOGIN', 'LOGIN_FAILED', 'LOGOUT', 'STEP_UP', 'STEP_UP_FAILED'];
+const RESOURCES = ['Product', 'Order', 'Coupon', 'Sale', 'Settings', 'Trending', 'Attribute', 'Team', 'Auth', 'Audit'];
+const PAGE_SIZE = 50;
+
+// Filters live in the URL (?action=&resource=&user=&from=&to=&q=&page=) so an audit view can be shared
+const readFilters = (params) => ({
+  action: params.get('action') || 'all', // 'all', 'create', 'update', 'delete', 'security'
+  resource: params.get('resource') || '',
+  user: params.get('user') || '',
+  from: params.get('from') || '', // YYYY-MM-DD, local day
+  to: params.get('to') || '',
+  q: params.get('q') || '',
+  page: Math.max(1, parseInt(params.get('page')) || 1)
+});
+
+// 1 month retention is handled by DB policy/cron, the rest is filtered and paged in the query
+const fetchLogs = ({ action, resource, user, from, to, q, page }, pageSize = PAGE_SIZE) => {
+  let query = supabase
+    .from('activity_logs')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false }) // Stable order across pages for exports
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (action === 'security') query = query.in('action_type', SECURITY_ACTIONS);
+  else if (action !== 'all') query = query.ilike('action_type', `%${action}%`);
+  if (resource) query = query.eq('resource', resource);
+  if (user) query = query.ilike('user_email', `%${user}%`);
+  if (from) query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+  if (to) {
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    query = query.lt('created_at', end.toISOString());
+  }
+  if (q) query = query.ilike('description', `%${q}%`);
+
+  return query;
+};
+
 export default function ActivityLogs() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('all'); // 'all', 'create', 'update', 'delete'
-  const [search, setSearch] = useState('');
+  const [reloadKey, setReloadKey] = useState(0); // Bumped to refetch the current page
+  const [revertingId, setRevertingId] = useState(null);
+  const [revertedIds, setRevertedIds] = useState(new Set()); // Entries on this page that were already reverted
+  const [exporting, setExporting] = useState(null); // { format, done, total } while an export runs
+  const confirmAction = useConfirm();
+
+  const filters = readFilters(searchParams);
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const hasFilters = [...searchParams.keys()].some(key => key !== 'page');
 
   useEffect(() => {
-    fetchLogs();
-  }, []);
+    let ignore = false;
+
+    // Debounced so typing in the text filters doesn't fire a query per keystroke
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const { data, count, error } = await fetchLogs(readFilters(searchParams));
+        if (error) throw error;
+        const reverted = await fetchRevertedIds((data || []).filter(canRevert).map(log => log.id));
+        if (!ignore) {
+          setLogs(data || []);
+          setTotal(count || 0);
+          setRevertedIds(reverted);
+        }
+      } catch (error) {
+        toast.error('Failed to load logs');
+        console.error(error);
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [searchParams, reloadKey]);
+
+  const handleRevert = async (log) => {
+    const confirmed = await confirmAction({
+      title: 'Revert Change',
+      message: `Restore the state from before "${log.description}"? Anything changed on it since will be overwritten.`,
+      confirmLabel: 'Revert',
+      danger: true,
+      stepUp: true,
+      action: `Revert log entry #${log.id}`
+    });
+    if (!confirmed) return;
+
+    setRevertingId(log.id);
+    try {
+      await revertLogEntry(log);
+      toast.success('Change reverted');
+      setReloadKey(k => k + 1);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  // Exports the whole filtered set, not just the page on screen, and logs the export itself
+  const handleExport = async (format) => {
+    const csv = format === 'csv';
+    const filename = `activity-logs-${new Date().toISOString().slice(0, 10)}.${csv ? 'csv' : 'jsonl'}`;
+    let file;
+    try {
+      file = await openExportFile(filename, csv ? 'text/csv;charset=utf-8' : 'application/x-ndjson');
+    } catch (error) {
+      if (error.name !== 'AbortError') toast.error('Export failed'); // AbortError: save dialog cancelled
+      return;
+    }
+
+    const fetchPage = (cursor) => {
+      const query = fetchLogs({ ...filters, page: 1 }, EXPORT_PAGE_SIZE);
+      return cursor ? afterCursor(query, cursor) : query;
+    };
+    const steps = csv ? total * 2 : total; // CSV reads the set twice, see exportLogsCsv
+    const onProgress = (done) => setExporting({ format, done, total: steps });
 
-  const fetchLogs = async () => {
-    setLoading(true);
+    setExporting({ format, done: 0, total: steps });
     try {
-      // 1 month retention is handled by DB policy/cron,
-      // but we limit fetch to recent 500 for UI performance
-      const { data, error } = await supabase
-        .from('activity_logs')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(500);
-
-      if (error) throw error;
-      setLogs(data || []);
+      const rows = csv ? await exportLogsCsv(fetchPage, file, onProgress) : await exportLogsJsonLines(fetchPage, file, onProgress);
+      await file.close();
+      const appliedFilters = Object.fromEntries([...searchParams].filter(([key]) => key !== 'page'));
+      await logAction('EXPORT', 'Audit', `Exported ${rows} log entries as ${csv ? 'CSV' : 'JSON Lines'}`, { format, rows, filters: appliedFilters });
+      toast.success(`Exported ${rows} log entries`);
     } catch (error) {
-      toast.error('Failed to load logs');
+      await file.abort();
+      toast.error('Export failed');
       console.error(error);
     } finally {
-      setLoading(false);
+      setExporting(null);
     }
   };
 
+  // Any filter change starts again from page 1
+  const updateFilter = (key, value) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (value && value !== 'all') next.set(key, value);
+      else next.delete(key);
+      if (key !== 'page') next.delete('page');
+      return next;
+    }, { replace: true });
+  };
+
   // Helper: Action Badge
   const getActionStyle = (type) => {
     const t = type.toUpperCase();
+    if (t.includes('FAILED')) return { bg: 'bg-red-100', text: 'text-red-700', icon: <ShieldX size={14} /> };
+    if (t.includes('REVERT')) return { bg: 'bg-amber-100', text: 'text-amber-700', icon: <RotateCcw size={14} /> };
+    if (t.includes('STEP_UP')) return { bg: 'bg-amber-100', text: 'text-amber-700', icon: <ShieldCheck size={14} /> };
+    if (t.includes('LOGOUT')) return { bg: 'bg-slate-100', text: 'text-slate-600', icon: <LogOut size={14} /> };
     if (t.includes('CREATE') || t.includes('ADD')) return { bg: 'bg-emerald-100', text: 'text-emerald-700', icon: <PlusCircle size={14} /> };
     if (t.includes('UPDATE') || t.includes('EDIT')) return { bg: 'bg-blue-100', text: 'text-blue-700', icon: <Edit3 size={14} /> };
     if (t.includes('DELETE') || t.includes('REMOVE')) return { bg: 'bg-red-100', text: 'text-red-700', icon: <Trash2 size={14} /> };
@@ -57,17 +197,6 @@ export default function ActivityLogs() {
     return { bg: 'bg-slate-100', text: 'text-slate-600', icon: <FileText size={14} /> };
   };
 
-  const filteredLogs = logs.filter(log => {
-    const matchesSearch =
-      log.description?.toLowerCase().includes(search.toLowerCase()) ||
-      log.user_email?.toLowerCase().includes(search.toLowerCase()) ||
-      log.resource?.toLowerCase().includes(search.toLowerCase());
-
-    const matchesFilter = filter === 'all' || log.action_type.toLowerCase().includes(filter);
-
-    return matchesSearch && matchesFilter;
-  });
-
   return (
     <div className="max-w-6xl mx-auto pb-20 pt-6 px-6">
       <Toaster position="top-right" richColors />
@@ -81,34 +210,111 @@ export default function ActivityLogs() {
           <p className="text-slate-500">Audit trail of all admin actions (30-day retention).</p>
         </div>
 
-        <div className="flex gap-3">
-          {/* Search */}
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
-            <input
-              type="text"
-              placeholder="Search logs..."
-              value={search}
-              onChange={(e) => setSearch(e.target.value)}
-              className="pl-9 pr-4 py-2 bg-white border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 w-64"
-            />
-          </div>
+        {/* Search */}
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
+          <input
+            type="text"
+            placeholder="Search descriptions..."
+            value={filters.q}
+            onChange={(e) => updateFilter('q', e.target.value)}
+            className="pl-9 pr-4 py-2 bg-white border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 w-64"
+          />
+        </div>
+      </div>
 
-          {/* Filter */}
+      {/* Filters */}
+      <div className="flex flex-wrap items-end gap-3 mb-6 p-4 bg-white border border-slate-200 rounded-xl shadow-sm">
+        <div>
+          <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">Action</label>
           <div className="relative">
              <Filter className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
              <select
-               value={filter}
-               onChange={(e) => setFilter(e.target.value)}
+               value={filters.action}
+               onChange={(e) => updateFilter('action', e.target.value)}
                className="pl-9 pr-8 py-2 bg-white border border-slate-200 rounded-lg text-sm appearance-none cursor-pointer hover:bg-slate-50 focus:outline-none focus:ring-2 focus:ring-indigo-500/20"
              >
                <option value="all">All Actions</option>
                <option value="create">Created</option>
                <option value="update">Updated</option>
                <option value="delete">Deleted</option>
+               <option value="security">Security</option>
              </select>
           </div>
         </div>
+
+        <div>
+          <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">Resource</label>
+          <select
+            value={filters.resource}
+            onChange={(e) => updateFilter('resource', e.target.value)}
+            className="px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm cursor-pointer hover:bg-slate-50 focus:outline-none focus:ring-2 focus:ring-indigo-500/20"
+          >
+            <option value="">All Resources</option>
+            {RESOURCES.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+        </div>
+
+        <div>
+          <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">User Email</label>
+          <input
+            type="text"
+            placeholder="name@example.com"
+            value={filters.user}
+            onChange={(e) => updateFilter('user', e.target.value)}
+            className="px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 w-56"
+          />
+        </div>
+
+        <div>
+          <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20"
+          />
+        </div>
+
+        <div>
+          <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20"
+          />
+        </div>
+
+        {hasFilters && (
+          <button
+            onClick={() => setSearchParams({}, { replace: true })}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-slate-500 hover:text-slate-900 hover:bg-slate-100 rounded-lg transition-colors"
+          >
+            <X size={16} /> Clear
+          </button>
+        )}
+
+        {/* Export (whole filtered set) */}
+        <div className="ml-auto flex items-center gap-3 text-sm">
+          {exporting && (
+            <span className="flex items-center gap-2 text-slate-500">
+              <Loader2 className="animate-spin" size={14} /> {Math.min(100, Math.round((exporting.done / Math.max(1, exporting.total)) * 100))}%
+            </span>
+          )}
+          {['csv', 'jsonl'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={!!exporting || total === 0}
+              className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 text-slate-600 font-medium rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download size={16} /> {format === 'csv' ? 'CSV' : 'JSON Lines'}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Table */}
@@ -126,10 +332,10 @@ export default function ActivityLogs() {
             <tbody className="divide-y divide-slate-100">
               {loading ? (
                 <tr><td colSpan="4" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
-              ) : filteredLogs.length === 0 ? (
+              ) : logs.length === 0 ? (
                 <tr><td colSpan="4" className="p-12 text-center text-slate-400">No logs found matching criteria.</td></tr>
               ) : (
-                filteredLogs.map((log) => {
+                logs.map((log) => {
                   const style = getActionStyle(log.action_type);
                   return (
                     <tr key={log.id} className="hover:bg-slate-50 transition-colors">
@@ -156,14 +362,31 @@ export default function ActivityLogs() {
                       {/* 3. Description */}
                       <td className="px-6 py-4">
                         <div className="text-slate-900 font-medium">{log.description}</div>
+                        {log.action_type.endsWith('_FAILED') && log.meta_data?.reason && (
+                          <div className="text-xs text-red-600 mt-0.5">Reason: {log.meta_data.reason.replace(/_/g, ' ')}</div>
+                        )}
                         {log.meta_data && Object.keys(log.meta_data).length > 0 && (
                           <details className="mt-1">
-                            <summary className="text-xs text-indigo-600 cursor-pointer hover:underline select-none">View Meta Data</summary>
-                            <pre className="mt-2 p-2 bg-slate-50 rounded border border-slate-100 text-[10px] text-slate-600 overflow-x-auto">
-                              {JSON.stringify(log.meta_data, null, 2)}
-                            </pre>
+                            <summary className="text-xs text-indigo-600 cursor-pointer hover:underline select-none">
+                              {log.meta_data.before || log.meta_data.variants?.length ? 'View Changes' : 'View Details'}
+                            </summary>
+                            <AuditDiff meta={log.meta_data} />
                           </details>
                         )}
+                        {canRevert(log) && revertedIds.has(String(log.id)) && (
+                          <span className="mt-2 inline-flex items-center gap-1.5 px-2.5 py-1 text-xs font-medium text-slate-400 border border-slate-200 rounded-lg">
+                            <RotateCcw size={12} /> Reverted
+                          </span>
+                        )}
+                        {canRevert(log) && !revertedIds.has(String(log.id)) && (
+                          <button
+                            onClick={() => handleRevert(log)}
+                            disabled={revertingId === log.id}
+                            className="mt-2 inline-flex items-center gap-1.5 px-2.5 py-1 text-xs font-medium text-amber-700 border border-amber-200 rounded-lg hover:bg-amber-50 disabled:opacity-50 transition-colors"
+                          >
+                            {revertingId === log.id ? <Loader2 className="animate-spin" size={12} /> : <RotateCcw size={12} />} Revert
+                          </button>
+                        )}
                       </td>
 
                       {/* 4. User */}
@@ -184,6 +407,30 @@ export default function ActivityLogs() {
             </tbody>
           </table>
         </div>
+
+        {/* Pagination */}
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex items-center justify-between text-sm text-slate-500">
+          <span>
+            {total === 0 ? 'No entries' : `Showing ${(filters.page - 1) * PAGE_SIZE + 1}–${Math.min(filters.page * PAGE_SIZE, total)} of ${total}`}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => updateFilter('page', String(filters.page - 1))}
+              disabled={loading || filters.page <= 1}
+              className="p-2 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <span className="font-medium text-slate-700">Page {filters.page} of {totalPages}</span>
+            <button
+              onClick={() => updateFilter('page', String(filters.page + 1))}
+              disabled={loading || filters.page >= totalPages}
+              className="p-2 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
       </div>
     </div>
   );
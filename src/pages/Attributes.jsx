@@ -12,8 +12,12 @@ import {
   Search,
   Hash
 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useConfirm } from '../context/ConfirmContext';
 
 export default function Attributes() {
+  const { can } = useAuth();
+  const confirmAction = useConfirm();
   const [activeTab, setActiveTab] = useState('categories');
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -82,7 +86,7 @@ export default function Attributes() {
   };
 
   const handleDelete = async (id) => {
-    if (!window.confirm("Are you sure you want to delete this?")) return;
+    if (!(await confirmAction({ title: 'Delete Attribute', message: 'Are you sure you want to delete this?', confirmLabel: 'Delete', danger: true }))) return;
 
     try {
       const { error } = await supabase
@@ -228,13 +232,15 @@ export default function Attributes() {
                       </div>
                     </div>
 
-                    <button
-                      onClick={() => handleDelete(item.id)}
-                      className="p-2 text-slate-300 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all opacity-0 group-hover:opacity-100"
-                      title="Delete Item"
-                    >
-                      <Trash2 size={18} />
-                    </button>
+                    {can('attributes.delete') && (
+                      <button
+                        onClick={() => handleDelete(item.id)}
+                        className="p-2 text-slate-300 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all opacity-0 group-hover:opacity-100"
+                        title="Delete Item"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    )}
                   </div>
                 ))}
               </div>
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { toast, Toaster } from 'sonner';
+import { Trophy, Loader2, IndianRupee, Package } from 'lucide-react';
+import { getDateRange, fetchVariantSales } from '../lib/analytics';
+import DateRangePicker from '../components/reports/DateRangePicker';
+
+const VIEWS = [
+  { value: 'product', label: 'Products' },
+  { value: 'variant', label: 'Variants' },
+  { value: 'color', label: 'Color' },
+  { value: 'size', label: 'Size' },
+  { value: 'fabric', label: 'Fabric' },
+  { value: 'design', label: 'Design' }
+];
+
+// How each view groups variant rows: key, label and (for colors) the swatch
+const GROUPINGS = {
+  product: row => ({ key: row.product_id, label: row.product_name }),
+  variant: row => ({ key: row.variant_id, label: row.product_name, detail: [row.color_name, row.size_name].filter(Boolean).join(' / '), hex: row.color_hex }),
+  color: row => ({ key: row.color_name || '', label: row.color_name || 'No color', hex: row.color_hex }),
+  size: row => ({ key: row.size_name || '', label: row.size_name || 'No size' }),
+  fabric: row => ({ key: row.fabric_name || '', label: row.fabric_name || 'Unassigned' }),
+  design: row => ({ key: row.design_name || '', label: row.design_name || 'Unassigned' })
+};
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+// Sums variant rows per group and remembers which product sold best inside each one
+const rankRows = (rows, view, metric) => {
+  const groups = {};
+  rows.forEach(row => {
+    const { key, ...info } = GROUPINGS[view](row);
+    const group = groups[key] || (groups[key] = { key, ...info, productId: row.product_id, units_sold: 0, revenue: 0, products: {} });
+    group.units_sold += row.units_sold;
+    group.revenue += row.revenue;
+
+    const product = group.products[row.product_id] || (group.products[row.product_id] = { id: row.product_id, name: row.product_name, units_sold: 0, revenue: 0 });
+    product.units_sold += row.units_sold;
+    product.revenue += row.revenue;
+  });
+
+  return Object.values(groups)
+    .map(({ products, ...group }) => ({
+      ...group,
+      topProduct: Object.values(products).sort((a, b) => b[metric] - a[metric])[0]
+    }))
+    .sort((a, b) => b[metric] - a[metric]);
+};
+
+export default function BestSellers() {
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '' });
+  const [category, setCategory] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [view, setView] = useState('product');
+  const [metric, setMetric] = useState('units_sold'); // 'units_sold' | 'revenue'
+  const [sales, setSales] = useState({ key: null, rows: [] });
+
+  const dateRange = getDateRange(range);
+  const salesKey = JSON.stringify({ start: dateRange.start, end: dateRange.end, category });
+  const loading = sales.key !== salesKey;
+
+  useEffect(() => {
+    supabase.from('categories').select('id, name').order('name').then(({ data }) => setCategories(data || []));
+  }, []);
+
+  useEffect(() => {
+    let ignore = false;
+    const { start, end, category: selected } = JSON.parse(salesKey);
+
+    fetchVariantSales({ start: new Date(start), end: new Date(end) }, selected)
+      .then(rows => { if (!ignore) setSales({ key: salesKey, rows }); })
+      .catch(error => {
+        console.error(error);
+        toast.error('Could not load sales analytics');
+        if (!ignore) setSales({ key: salesKey, rows: [] });
+      });
+
+    return () => { ignore = true; };
+  }, [salesKey]);
+
+  const rows = rankRows(sales.rows, view, metric);
+  const total = rows.reduce((sum, row) => sum + row[metric], 0);
+  const linksToProduct = view === 'product' || view === 'variant';
+
+  return (
+    <div className="max-w-7xl mx-auto pb-20 pt-6 px-6 space-y-6">
+      <Toaster position="top-right" richColors />
+
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <Trophy className="text-slate-400" /> Best Sellers
+        </h1>
+        <p className="text-slate-500">Top products and variants, and how sales split across colors, sizes, fabrics and designs.</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-4 flex flex-wrap items-center gap-3">
+        <DateRangePicker value={range} onChange={setRange} />
+
+        <div className="h-6 w-px bg-slate-200 hidden md:block" />
+
+        <select
+          value={category}
+          onChange={e => setCategory(e.target.value)}
+          className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500/20 outline-none"
+        >
+          <option value="">All Categories</option>
+          {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+
+        <div className="flex bg-slate-100 rounded-lg p-1 ml-auto">
+          {[
+            { value: 'units_sold', label: 'Units', icon: Package },
+            { value: 'revenue', label: 'Revenue', icon: IndianRupee }
+          ].map(m => (
+            <button
+              key={m.value}
+              onClick={() => setMetric(m.value)}
+              className={`flex items-center gap-1 px-3 py-1 text-xs font-medium rounded-md transition-colors ${metric === m.value ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-900'}`}
+            >
+              <m.icon size={12} /> {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Ranking */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="px-6 pt-4 border-b border-slate-100 flex gap-6 overflow-x-auto">
+          {VIEWS.map(v => (
+            <button
+              key={v.value}
+              onClick={() => setView(v.value)}
+              className={`pb-3 text-sm font-medium border-b-2 whitespace-nowrap transition-colors ${view === v.value ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-slate-500 hover:text-slate-900'}`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4 w-12">#</th>
+                <th className="px-6 py-4">{VIEWS.find(v => v.value === view).label}</th>
+                {!linksToProduct && <th className="px-6 py-4">Top Product</th>}
+                <th className="px-6 py-4 text-right">Units</th>
+                <th className="px-6 py-4 text-right">Revenue</th>
+                <th className="px-6 py-4 w-48">Share of {metric === 'revenue' ? 'Revenue' : 'Units'}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {loading ? (
+                <tr><td colSpan="6" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : rows.length === 0 ? (
+                <tr><td colSpan="6" className="p-12 text-center text-slate-400">No sales in this period.</td></tr>
+              ) : (
+                rows.map((row, index) => {
+                  const share = total ? (row[metric] / total) * 100 : 0;
+                  return (
+                    <tr key={row.key} className="hover:bg-slate-50 transition-colors">
+                      <td className="px-6 py-4 text-slate-400 font-medium">{index + 1}</td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-2">
+                          {row.hex && <span className="w-3 h-3 rounded-full border border-slate-200 shrink-0" style={{ backgroundColor: row.hex }} />}
+                          {linksToProduct ? (
+                            <Link to={`/edit-product/${row.productId}`} className="font-medium text-slate-900 hover:text-indigo-600">{row.label}</Link>
+                          ) : (
+                            <span className="font-medium text-slate-900">{row.label}</span>
+                          )}
+                        </div>
+                        {row.detail && <div className="text-xs text-slate-500 mt-0.5">{row.detail}</div>}
+                      </td>
+                      {!linksToProduct && (
+                        <td className="px-6 py-4">
+                          <Link to={`/edit-product/${row.topProduct.id}`} className="text-slate-600 hover:text-indigo-600">{row.topProduct.name}</Link>
+                        </td>
+                      )}
+                      <td className="px-6 py-4 text-right text-slate-900 font-medium">{row.units_sold}</td>
+                      <td className="px-6 py-4 text-right text-slate-600">{formatMoney(row.revenue)}</td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                            <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${share}%` }} />
+                          </div>
+                          <span className="text-xs text-slate-500 w-10 text-right">{share.toFixed(1)}%</span>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import { toast, Toaster } from 'sonner';
+import { Megaphone, Loader2, ArrowUpRight, ArrowDownRight, Ticket, AlertTriangle } from 'lucide-react';
+import { getDateRange, percentChange, fetchProfitReport, summarizeProfit, fetchCouponPerformance } from '../lib/analytics';
+import { fetchSaleWindows, getComparisonRanges } from '../lib/campaigns';
+import DateRangePicker from '../components/reports/DateRangePicker';
+
+const MAX_SALE_WINDOWS = 20; // Each window costs two report queries
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString()}`;
+const formatMargin = (margin) => (margin === null ? '—' : `${margin.toFixed(1)}%`);
+const formatDateTime = (date) => `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+export default function CampaignReport() {
+  const [activeTab, setActiveTab] = useState('sales');
+
+  return (
+    <div className="max-w-7xl mx-auto pb-20 pt-6 px-6 space-y-6">
+      <Toaster position="top-right" richColors />
+
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <Megaphone className="text-slate-400" /> Campaign Effectiveness
+        </h1>
+        <p className="text-slate-500">How category sales and coupons changed units, revenue and margin.</p>
+      </div>
+
+      <div className="flex gap-4 border-b border-slate-200">
+        <button
+          onClick={() => setActiveTab('sales')}
+          className={`pb-3 px-1 text-sm font-medium transition-all border-b-2 ${activeTab === 'sales' ? 'border-slate-900 text-slate-900' : 'border-transparent text-slate-500'}`}
+        >
+          Category Sales
+        </button>
+        <button
+          onClick={() => setActiveTab('coupons')}
+          className={`pb-3 px-1 text-sm font-medium transition-all border-b-2 ${activeTab === 'coupons' ? 'border-slate-900 text-slate-900' : 'border-transparent text-slate-500'}`}
+        >
+          Coupons
+        </button>
+      </div>
+
+      {activeTab === 'sales' ? <SaleWindowsPanel /> : <CouponsPanel />}
+    </div>
+  );
+}
+
+// --- SUB-COMPONENT 1: CATEGORY SALE WINDOWS vs THE PERIOD BEFORE ---
+function SaleWindowsPanel() {
+  const [windows, setWindows] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadWindows();
+  }, []);
+
+  const loadWindows = async () => {
+    try {
+      const [recent, { data: categories }] = await Promise.all([
+        fetchSaleWindows(MAX_SALE_WINDOWS),
+        supabase.from('categories').select('id, name')
+      ]);
+      const categoryNames = Object.fromEntries((categories || []).map(c => [String(c.id), c.name]));
+
+      const measured = await Promise.all(recent.map(async (window) => {
+        const { during, before } = getComparisonRanges(window);
+        const filter = { category: window.categoryId };
+        const [duringRows, beforeRows] = await Promise.all([fetchProfitReport(during, filter), fetchProfitReport(before, filter)]);
+        return {
+          ...window,
+          categoryName: categoryNames[String(window.categoryId)] || `Category ${window.categoryId}`,
+          during: summarizeProfit(duringRows),
+          before: summarizeProfit(beforeRows)
+        };
+      }));
+      setWindows(measured);
+    } catch (error) {
+      console.error(error);
+      toast.error('Could not load sale history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+      <div className="px-6 py-4 border-b border-slate-100 bg-slate-50/50 text-sm text-slate-500">
+        Each sale is compared with the same length of time immediately before it started. Running sales are measured up to now.
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+            <tr>
+              <th className="px-6 py-4">Sale</th>
+              <th className="px-6 py-4">Window</th>
+              <th className="px-6 py-4 text-right">Units</th>
+              <th className="px-6 py-4 text-right">Revenue</th>
+              <th className="px-6 py-4 text-right">Margin</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {loading ? (
+              <tr><td colSpan="5" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+            ) : windows.length === 0 ? (
+              <tr><td colSpan="5" className="p-12 text-center text-slate-400">No category sales have been logged yet.</td></tr>
+            ) : (
+              windows.map(window => (
+                <tr key={`${window.categoryId}-${window.start.toISOString()}`} className="hover:bg-slate-50 transition-colors align-top">
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-slate-900">{window.categoryName}</div>
+                    <div className="text-xs text-slate-500">
+                      {window.percent ? `${window.percent}% off` : 'Discount'}
+                      {!window.end && <span className="ml-2 px-1.5 py-0.5 rounded bg-emerald-100 text-emerald-700 text-[10px] font-bold uppercase tracking-wider">Running</span>}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-xs text-slate-500 whitespace-nowrap">
+                    <div>{formatDateTime(window.start)}</div>
+                    <div>→ {window.end ? formatDateTime(window.end) : 'now'}</div>
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <Comparison current={window.during.units_sold} previous={window.before.units_sold} format={v => v} />
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <Comparison current={window.during.revenue} previous={window.before.revenue} format={formatMoney} />
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <div className="font-medium text-slate-900">{formatMargin(window.during.margin)}</div>
+                    <div className="text-xs text-slate-400">before {formatMargin(window.before.margin)}</div>
+                    {(window.during.uncosted_units > 0 || window.before.uncosted_units > 0) && (
+                      <div className="text-[10px] text-amber-600 flex items-center justify-end gap-1 mt-0.5"><AlertTriangle size={10} /> Missing cost prices</div>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// --- SUB-COMPONENT 2: COUPON REDEMPTIONS vs ORDERS WITHOUT A COUPON ---
+function CouponsPanel() {
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '' });
+  const [report, setReport] = useState({ key: null, rows: [] });
+
+  const dateRange = getDateRange(range);
+  const reportKey = `${dateRange.start.toISOString()}|${dateRange.end.toISOString()}`;
+  const loading = report.key !== reportKey;
+
+  useEffect(() => {
+    let ignore = false;
+    const [start, end] = reportKey.split('|');
+
+    fetchCouponPerformance({ start: new Date(start), end: new Date(end) })
+      .then(rows => { if (!ignore) setReport({ key: reportKey, rows }); })
+      .catch(error => {
+        console.error(error);
+        toast.error('Could not load coupon performance');
+        if (!ignore) setReport({ key: reportKey, rows: [] });
+      });
+
+    return () => { ignore = true; };
+  }, [reportKey]);
+
+  const baseline = report.rows.find(row => !row.coupon_code);
+  const baselineAov = baseline?.order_count ? baseline.revenue / baseline.order_count : 0;
+  const coupons = report.rows.filter(row => row.coupon_code).sort((a, b) => b.order_count - a.order_count);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-4 flex flex-wrap items-center justify-between gap-3">
+        <DateRangePicker value={range} onChange={setRange} />
+        {!loading && baseline && (
+          <span className="text-xs text-slate-500">
+            Without a coupon: {baseline.order_count} orders · avg {formatMoney(baselineAov)} · margin {formatMargin(baseline.margin)}
+          </span>
+        )}
+      </div>
+
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4">Coupon</th>
+                <th className="px-6 py-4 text-right">Orders</th>
+                <th className="px-6 py-4 text-right">Units</th>
+                <th className="px-6 py-4 text-right">Revenue</th>
+                <th className="px-6 py-4 text-right">Discount Given</th>
+                <th className="px-6 py-4 text-right">Avg. Order</th>
+                <th className="px-6 py-4 text-right">Margin</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {loading ? (
+                <tr><td colSpan="7" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : coupons.length === 0 ? (
+                <tr><td colSpan="7" className="p-12 text-center text-slate-400">No coupons were redeemed in this period.</td></tr>
+              ) : (
+                coupons.map(row => (
+                  <tr key={row.coupon_code} className="hover:bg-slate-50 transition-colors">
+                    <td className="px-6 py-4">
+                      <span className="flex items-center gap-2 font-mono font-semibold text-slate-900"><Ticket size={14} className="text-slate-400" /> {row.coupon_code}</span>
+                    </td>
+                    <td className="px-6 py-4 text-right text-slate-900 font-medium">{row.order_count}</td>
+                    <td className="px-6 py-4 text-right text-slate-600">{row.units_sold}</td>
+                    <td className="px-6 py-4 text-right text-slate-600">{formatMoney(row.revenue)}</td>
+                    <td className="px-6 py-4 text-right text-red-600">−{formatMoney(row.discount_total)}</td>
+                    <td className="px-6 py-4 text-right">
+                      <Comparison current={row.order_count ? (row.revenue - row.discount_total) / row.order_count : 0} previous={baselineAov} format={formatMoney} label="vs no coupon" />
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <div className="font-medium text-slate-900">{formatMargin(row.margin)}</div>
+                      {row.uncosted_units > 0 && (
+                        <div className="text-[10px] text-amber-600 flex items-center justify-end gap-1 mt-0.5"><AlertTriangle size={10} /> {row.uncosted_units} uncosted</div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Comparison({ current, previous, format, label = 'before' }) {
+  const change = percentChange(current, previous);
+  return (
+    <div>
+      <div className="font-medium text-slate-900">{format(current)}</div>
+      <div className="text-xs text-slate-400 flex items-center justify-end gap-1">
+        {label} {format(previous)}
+        {change !== null && (
+          <span className={`flex items-center font-medium ${change >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+            {change >= 0 ? <ArrowUpRight size={12} /> : <ArrowDownRight size={12} />}
+            {Math.abs(change).toFixed(0)}%
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
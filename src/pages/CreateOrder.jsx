@@ -3,15 +3,19 @@ import { supabase } from '../lib/supabase';
 import { toast, Toaster } from 'sonner';
 import {
   Search, Plus, Minus, ShoppingCart, User, MapPin,
-  Save, Loader2, Trash2, Package, CreditCard, FileText
+  Save, Loader2, Trash2, Package, CreditCard, FileText, Ticket, X
 } from 'lucide-react';
 import { logAction } from '../lib/logger';
+import { validateCoupon, getCouponDiscount, couponOrderFields, redeemCoupon, releaseCoupon } from '../lib/coupons';
 
 export default function CreateOrder() {
   const [loading, setLoading] = useState(false);
   const [productSearch, setProductSearch] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [cart, setCart] = useState([]);
+  const [couponCode, setCouponCode] = useState('');
+  const [coupon, setCoupon] = useState(null); // Applied coupon row
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
 
   // Customer Form
   const [customer, setCustomer] = useState({
@@ -107,6 +111,26 @@ export default function CreateOrder() {
 
   const cartTotal = cart.reduce((sum, item) => sum + (item.price * item.qty), 0);
 
+  // A coupon stops applying if the cart drops below its minimum
+  const activeCoupon = coupon && cartTotal >= (coupon.min_order_amount || 0) ? coupon : null;
+  const discount = getCouponDiscount(activeCoupon, cartTotal);
+  const payable = cartTotal - discount;
+
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) return;
+    setApplyingCoupon(true);
+    try {
+      const found = await validateCoupon(couponCode, cartTotal);
+      setCoupon(found);
+      setCouponCode('');
+      toast.success(`Coupon ${found.code} applied`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
   // 3. Submit Order
   const handleCreateOrder = async () => {
     if (cart.length === 0) return toast.error("Cart is empty");
@@ -114,6 +138,8 @@ export default function CreateOrder() {
 
     setLoading(true);
     try {
+      if (activeCoupon) await redeemCoupon(activeCoupon);
+
       // A. Create Order
       const { data: order, error: orderError } = await supabase
         .from('orders')
@@ -123,14 +149,18 @@ export default function CreateOrder() {
           shipping_address: address,
           payment_method: customer.payment_method,
           status: 'confirmed',
-          total_amount: cartTotal,
+          total_amount: payable,
+          ...couponOrderFields(activeCoupon, cartTotal),
           notes: customer.notes,
           user_id: null
         })
         .select()
         .single();
 
-      if (orderError) throw orderError;
+      if (orderError) {
+        if (activeCoupon) await releaseCoupon(activeCoupon);
+        throw orderError;
+      }
 
       // B. Create Order Items
       const orderItems = cart.map(item => ({
@@ -150,9 +180,15 @@ export default function CreateOrder() {
           .update({ stock_quantity: item.max_stock - item.qty })
           .eq('id', item.variant_id);
       }
-      await logAction('CREATE', 'Order', `Created Manual Order #${order.order_number}`, { total: cartTotal, items: cart.length });
+      await logAction('CREATE', 'Order', `Created Manual Order #${order.order_number}`, {
+        orderId: order.id,
+        total: payable,
+        items: cart.length,
+        ...(activeCoupon && { couponCode: activeCoupon.code, discount })
+      });
       toast.success(`Order #${order.order_number} Created!`);
       setCart([]);
+      setCoupon(null);
       setCustomer({ name: '', phone: '', payment_method: 'upi', notes: '' });
       setAddress({ street: '', city: '', state: '', zip: '', country: 'India' });
 
@@ -290,13 +326,50 @@ export default function CreateOrder() {
               )}
             </div>
 
+            {/* Coupon */}
+            <div className="px-5 py-4 border-t border-slate-100">
+              {coupon ? (
+                <div className="flex items-center justify-between text-sm">
+                  <span className="flex items-center gap-2">
+                    <Ticket size={16} className="text-emerald-600" />
+                    <span className="font-mono font-semibold text-slate-900">{coupon.code}</span>
+                    {!activeCoupon && <span className="text-xs text-amber-600">Needs ₹{coupon.min_order_amount} minimum</span>}
+                  </span>
+                  <span className="flex items-center gap-3">
+                    {activeCoupon && <span className="font-medium text-emerald-600">−₹{discount.toFixed(2)}</span>}
+                    <button onClick={() => setCoupon(null)} className="text-slate-400 hover:text-red-500"><X size={16} /></button>
+                  </span>
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <input
+                    value={couponCode}
+                    onChange={e => setCouponCode(e.target.value)}
+                    onKeyDown={e => { if (e.key === 'Enter') handleApplyCoupon(); }}
+                    placeholder="Coupon code"
+                    className="flex-1 px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm font-mono uppercase focus:ring-2 focus:ring-indigo-500/20 outline-none"
+                  />
+                  <button
+                    onClick={handleApplyCoupon}
+                    disabled={applyingCoupon || cart.length === 0}
+                    className="px-4 py-2 bg-white border border-slate-200 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    {applyingCoupon ? <Loader2 className="animate-spin" size={16} /> : 'Apply'}
+                  </button>
+                </div>
+              )}
+            </div>
+
             {/* Total Footer */}
             <div className="p-5 bg-slate-50 border-t border-slate-200 flex justify-between items-center">
               <div>
                 <span className="text-sm text-slate-500 block">Total Payable</span>
                 <span className="text-xs text-slate-400">Includes all taxes</span>
               </div>
-              <span className="text-3xl font-bold text-slate-900 tracking-tight">₹{cartTotal.toFixed(2)}</span>
+              <div className="text-right">
+                {discount > 0 && <span className="text-sm text-slate-400 line-through block">₹{cartTotal.toFixed(2)}</span>}
+                <span className="text-3xl font-bold text-slate-900 tracking-tight">₹{payable.toFixed(2)}</span>
+              </div>
             </div>
           </div>
         </div>
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../lib/supabase';
 import { useNavigate } from 'react-router-dom';
+import { toast, Toaster } from 'sonner';
 import {
   TrendingUp,
   Package,
@@ -9,16 +10,44 @@ import {
   Loader2,
   Clock,
   IndianRupee,
-  ArrowRight
+  ArrowRight,
+  Receipt,
+  ArrowUpRight,
+  ArrowDownRight,
+  Printer
 } from 'lucide-react';
+import RevenueChart from '../components/dashboard/RevenueChart';
+import DateRangePicker from '../components/reports/DateRangePicker';
+import { fetchLowStock } from '../lib/inventory';
+import { subscribeToOrders } from '../lib/orderFeed';
+import { printEndOfDayReport } from '../lib/endOfDay';
+import { useAuth } from '../context/AuthContext';
+import { ROLES } from '../lib/roles';
+import {
+  getDateRange,
+  getPreviousRange,
+  getRangeDays,
+  percentChange,
+  fetchSalesSummary,
+  fetchSalesSeries,
+  fillBuckets
+} from '../lib/analytics';
+
+const EMPTY_TOTALS = { revenue: 0, orders: 0, aov: 0 };
+const LIVE_REFRESH_DELAY_MS = 1500;
+
+const parseRangeKey = (key) => {
+  const [start, end] = key.split('|');
+  return { start: new Date(start), end: new Date(end) };
+};
 
 export default function Dashboard() {
   const navigate = useNavigate();
+  const { role } = useAuth();
   const [loading, setLoading] = useState(true);
 
   // Dashboard State
   const [stats, setStats] = useState({
-    totalRevenue: 0,
     pendingOrders: 0,
     totalProducts: 0,
     lowStockCount: 0,
@@ -28,38 +57,83 @@ export default function Dashboard() {
   const [recentOrders, setRecentOrders] = useState([]);
   const [lowStockItems, setLowStockItems] = useState([]);
 
+  // Revenue analytics: totals for the range + previous period, and the chart series.
+  // Each result is keyed by what it was fetched for, so a mismatch means it's still loading.
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '' });
+  const [chartInterval, setChartInterval] = useState(null); // 'day' | 'week', null = pick from range length
+  const [totals, setTotals] = useState({ key: null, current: EMPTY_TOTALS, previous: EMPTY_TOTALS });
+  const [series, setSeries] = useState({ key: null, rows: [] });
+  const [liveVersion, setLiveVersion] = useState(0); // Bumped by realtime order changes to refetch the figures
+  const [printing, setPrinting] = useState(false);
+
+  const dateRange = getDateRange(range);
+  const rangeKey = `${dateRange.start.toISOString()}|${dateRange.end.toISOString()}`;
+  const interval = chartInterval || (getRangeDays(dateRange) > 31 ? 'week' : 'day');
+  const seriesKey = `${rangeKey}|${interval}`;
+  const salesLoading = totals.key !== rangeKey;
+  const seriesLoading = series.key !== seriesKey;
+
   useEffect(() => {
     fetchDashboardData();
+  }, [liveVersion]);
+
+  // Any order change refreshes the cards and lists. Bursts (e.g. a bulk status update) collapse into one refetch.
+  useEffect(() => {
+    let timer;
+    const refresh = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => setLiveVersion(v => v + 1), LIVE_REFRESH_DELAY_MS);
+    };
+    const unsubscribe = subscribeToOrders('dashboard', { onInsert: refresh, onUpdate: refresh, onDelete: refresh });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
   }, []);
 
-  async function fetchDashboardData() {
-    try {
-      // 1. Fetch Order Metrics (Revenue & Pending Counts)
-      const { data: allOrders, error: orderError } = await supabase
-        .from('orders')
-        .select('total_amount, status');
+  useEffect(() => {
+    let ignore = false;
+    const current = parseRangeKey(rangeKey);
+
+    Promise.all([fetchSalesSummary(current), fetchSalesSummary(getPreviousRange(current))])
+      .then(([currentTotals, previousTotals]) => {
+        if (!ignore) setTotals({ key: rangeKey, current: currentTotals, previous: previousTotals });
+      })
+      .catch(error => {
+        console.error('Error fetching revenue:', error.message);
+        if (!ignore) setTotals({ key: rangeKey, current: EMPTY_TOTALS, previous: EMPTY_TOTALS });
+      });
 
-      if (orderError) throw orderError;
+    return () => { ignore = true; };
+  }, [rangeKey, liveVersion]);
 
-      // UPDATED LOGIC: Filter out 'cancelled' orders before calculating revenue
-      const totalRevenue = allOrders
-        ?.filter(o => o.status !== 'cancelled')
-        .reduce((sum, order) => sum + (order.total_amount || 0), 0) || 0;
+  useEffect(() => {
+    let ignore = false;
+    const [startIso, endIso, bucket] = seriesKey.split('|');
+
+    fetchSalesSeries(parseRangeKey(`${startIso}|${endIso}`), bucket)
+      .then(rows => { if (!ignore) setSeries({ key: seriesKey, rows }); })
+      .catch(error => {
+        console.error('Error fetching revenue trend:', error.message);
+        if (!ignore) setSeries({ key: seriesKey, rows: [] });
+      });
 
-      const pendingOrders = allOrders?.filter(o => o.status === 'pending').length || 0;
+    return () => { ignore = true; };
+  }, [seriesKey, liveVersion]);
 
-      // 2. Fetch Product Metrics (Active & On Sale)
-      const { data: products, error: prodError } = await supabase
-        .from('products')
-        .select('id, is_on_sale')
-        .eq('is_active', true);
+  const currentTotals = totals.current;
+  const previousTotals = totals.previous;
+  const buckets = seriesLoading ? [] : fillBuckets(series.rows, dateRange, interval);
 
-      if (prodError) throw prodError;
+  async function fetchDashboardData() {
+    try {
+      // 1. Counts aggregated in the database: { pending_orders, active_products, products_on_sale }
+      const { data: counts, error: countsError } = await supabase.rpc('get_dashboard_counts').single();
 
-      const totalProducts = products?.length || 0;
-      const productsOnSale = products?.filter(p => p.is_on_sale).length || 0;
+      if (countsError) throw countsError;
 
-      // 3. Fetch Recent Orders (Last 5)
+      // 2. Fetch Recent Orders (Last 5)
       const { data: recent, error: recentError } = await supabase
         .from('orders')
         .select('*')
@@ -68,30 +142,15 @@ export default function Dashboard() {
 
       if (recentError) throw recentError;
 
-      // 4. Fetch Low Stock Items (< 5 quantity)
-      const { data: lowStockData, error: lowStockError } = await supabase
-        .from('product_variants')
-        .select(`
-          id,
-          stock_quantity,
-          size:sizes(name),
-          color:colors(name),
-          product:products!inner(name, is_active)
-        `)
-        .eq('product.is_active', true)
-        .lt('stock_quantity', 5)
-        .order('stock_quantity', { ascending: true })
-        .limit(5);
-
-      if (lowStockError) throw lowStockError;
+      // 3. Low Stock: 5 most urgent variants + the full count (thresholds resolved in the view)
+      const { items: lowStockData, count: lowStockCount } = await fetchLowStock({ limit: 5 });
 
       // Set State
       setStats({
-        totalRevenue,
-        pendingOrders,
-        totalProducts,
-        productsOnSale,
-        lowStockCount: lowStockData?.length || 0
+        pendingOrders: counts?.pending_orders || 0,
+        totalProducts: counts?.active_products || 0,
+        productsOnSale: counts?.products_on_sale || 0,
+        lowStockCount
       });
       setRecentOrders(recent || []);
       setLowStockItems(lowStockData || []);
@@ -103,6 +162,18 @@ export default function Dashboard() {
     }
   }
 
+  const handlePrintEndOfDay = async () => {
+    setPrinting(true);
+    try {
+      await printEndOfDayReport({ includeAdminActions: role === ROLES.OWNER });
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message || 'Could not build the end of day report');
+    } finally {
+      setPrinting(false);
+    }
+  };
+
   // Helper for Status Badges
   const getStatusColor = (status) => {
     switch (status) {
@@ -125,6 +196,7 @@ export default function Dashboard() {
 
   return (
     <div className="space-y-8 pb-20">
+      <Toaster position="top-right" richColors />
 
       {/* Header */}
       <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
@@ -133,6 +205,14 @@ export default function Dashboard() {
           <p className="text-slate-500">Real-time business insights and tasks.</p>
         </div>
         <div className="flex gap-3">
+          <button
+            onClick={handlePrintEndOfDay}
+            disabled={printing}
+            className="flex items-center gap-2 px-4 py-2 border border-slate-200 bg-white text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 transition-all disabled:opacity-50"
+          >
+            {printing ? <Loader2 size={16} className="animate-spin" /> : <Printer size={16} />}
+            End of Day Report
+          </button>
           <button
             onClick={() => navigate('/orders/create')}
             className="px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black transition-all"
@@ -142,17 +222,67 @@ export default function Dashboard() {
         </div>
       </div>
 
-      {/* 1. KEY METRICS GRID */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        {/* Total Revenue */}
-        <StatCard
-          title="Total Revenue"
-          value={`₹${stats.totalRevenue.toLocaleString()}`}
-          icon={<IndianRupee className="text-emerald-600" size={24} />}
-          bg="bg-emerald-50"
-          subtext="Excludes cancelled orders"
-        />
+      {/* 1. SALES PERFORMANCE (date range) */}
+      <section className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-100 bg-slate-50/50 flex flex-col lg:flex-row lg:items-center justify-between gap-4">
+          <h3 className="font-semibold text-slate-900 flex items-center gap-2">
+            <TrendingUp size={18} className="text-slate-400"/> Sales Performance
+          </h3>
+          <DateRangePicker value={range} onChange={setRange} />
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <StatCard
+              title="Revenue"
+              value={`₹${Math.round(currentTotals.revenue).toLocaleString()}`}
+              icon={<IndianRupee className="text-emerald-600" size={24} />}
+              bg="bg-emerald-50"
+              subtext="Excludes cancelled orders"
+              change={salesLoading ? undefined : percentChange(currentTotals.revenue, previousTotals.revenue)}
+            />
+            <StatCard
+              title="Orders"
+              value={currentTotals.orders}
+              icon={<ShoppingBag className="text-indigo-600" size={24} />}
+              bg="bg-indigo-50"
+              change={salesLoading ? undefined : percentChange(currentTotals.orders, previousTotals.orders)}
+            />
+            <StatCard
+              title="Avg. Order Value"
+              value={`₹${Math.round(currentTotals.aov).toLocaleString()}`}
+              icon={<Receipt className="text-purple-600" size={24} />}
+              bg="bg-purple-50"
+              change={salesLoading ? undefined : percentChange(currentTotals.aov, previousTotals.aov)}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <p className="text-sm font-medium text-slate-500">Revenue & Orders</p>
+              <div className="flex bg-slate-100 rounded-lg p-1">
+                {['day', 'week'].map(i => (
+                  <button
+                    key={i}
+                    onClick={() => setChartInterval(i)}
+                    className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${interval === i ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-900'}`}
+                  >
+                    {i === 'day' ? 'Daily' : 'Weekly'}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {seriesLoading ? (
+              <div className="h-60 flex items-center justify-center"><Loader2 className="animate-spin text-slate-400" /></div>
+            ) : (
+              <RevenueChart buckets={buckets} interval={interval} />
+            )}
+          </div>
+        </div>
+      </section>
 
+      {/* 2. OPERATIONS GRID */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         {/* Pending Orders */}
         <StatCard
           title="Pending Orders"
@@ -178,11 +308,11 @@ export default function Dashboard() {
           value={stats.lowStockCount}
           icon={<AlertTriangle className="text-red-600" size={24} />}
           bg="bg-red-50"
-          subtext="Variants below 5 qty"
+          subtext="Variants below their threshold"
         />
       </div>
 
-      {/* 2. MAIN CONTENT GRID */}
+      {/* 3. MAIN CONTENT GRID */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
 
         {/* LEFT COL: Recent Orders (Spans 2 cols) */}
@@ -245,10 +375,10 @@ export default function Dashboard() {
                  <div className="p-8 text-center text-slate-400 text-sm">Inventory levels are healthy.</div>
                ) : (
                  lowStockItems.map((item) => (
-                   <div key={item.id} className="p-4 flex items-center justify-between hover:bg-slate-50 transition-colors">
+                   <div key={item.variant_id} className="p-4 flex items-center justify-between hover:bg-slate-50 transition-colors">
                       <div>
-                        <div className="font-medium text-slate-900 text-sm">{item.product?.name}</div>
-                        <div className="text-xs text-slate-500">{item.color?.name} • {item.size?.name}</div>
+                        <div className="font-medium text-slate-900 text-sm">{item.product_name}</div>
+                        <div className="text-xs text-slate-500">{item.color_name} • {item.size_name}</div>
                       </div>
                       <div className="text-center">
                          <div className={`text-sm font-bold ${item.stock_quantity === 0 ? 'text-red-600' : 'text-amber-600'}`}>
@@ -262,7 +392,9 @@ export default function Dashboard() {
             </div>
             {lowStockItems.length > 0 && (
                <div className="p-3 bg-slate-50 border-t border-slate-100 text-center">
-                  <button onClick={() => navigate('/products')} className="text-xs font-medium text-slate-600 hover:text-slate-900">Manage Inventory</button>
+                  <button onClick={() => navigate('/inventory/low-stock')} className="text-xs font-medium text-slate-600 hover:text-slate-900">
+                    View all {stats.lowStockCount} low-stock variants
+                  </button>
                </div>
             )}
           </div>
@@ -287,12 +419,23 @@ export default function Dashboard() {
 }
 
 // Sub-component for Top Cards
-function StatCard({ title, value, icon, bg, subtext, highlight }) {
+// `change` is the % vs the previous period (null = nothing to compare, undefined = hide)
+function StatCard({ title, value, icon, bg, subtext, highlight, change }) {
   return (
     <div className={`bg-white p-6 rounded-xl border ${highlight ? 'border-amber-200 ring-2 ring-amber-500/10' : 'border-slate-200'} shadow-sm flex items-start justify-between transition-all hover:shadow-md`}>
       <div>
         <p className="text-sm font-medium text-slate-500 mb-1">{title}</p>
         <h3 className="text-2xl font-bold text-slate-900 tracking-tight">{value}</h3>
+        {change !== undefined && (
+          change === null ? (
+            <p className="text-xs text-slate-400 mt-1">No data for previous period</p>
+          ) : (
+            <p className={`text-xs font-medium mt-1 flex items-center gap-0.5 ${change >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+              {change >= 0 ? <ArrowUpRight size={14} /> : <ArrowDownRight size={14} />}
+              {Math.abs(change).toFixed(1)}% <span className="text-slate-400 font-normal ml-1">vs previous period</span>
+            </p>
+          )
+        )}
         {subtext && <p className="text-xs text-slate-400 mt-1">{subtext}</p>}
       </div>
       <div className={`p-3 rounded-xl ${bg}`}>
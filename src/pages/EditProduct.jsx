@@ -16,7 +16,16 @@ import {
   Check,
   Maximize2
 } from 'lucide-react';
-import { logAction } from '../lib/logger';
+import { logAction, diffSnapshots } from '../lib/logger';
+import EntityHistory from '../components/audit/EntityHistory';
+import { DEFAULT_LOW_STOCK_THRESHOLD, parseThreshold } from '../lib/inventory';
+
+// Product columns captured in the before/after audit diff
+const AUDITED_FIELDS = ['name', 'description', 'price', 'sale_price', 'is_on_sale', 'category_id', 'fabric_id', 'design_id', 'meta_title', 'meta_description', 'keywords', 'low_stock_threshold'];
+const productSnapshot = (row, costPrice) => ({
+  ...Object.fromEntries(AUDITED_FIELDS.map(field => [field, row[field] ?? null])),
+  cost_price: costPrice ?? null
+});
 
 export default function EditProduct() {
   const { id } = useParams();
@@ -37,6 +46,7 @@ export default function EditProduct() {
   const [selectedTagIds, setSelectedTagIds] = useState([]);
   const [colorImages, setColorImages] = useState({});
   const [colorSearch, setColorSearch] = useState('');
+  const [storeThreshold, setStoreThreshold] = useState(DEFAULT_LOW_STOCK_THRESHOLD); // Shown as the inherited value
 
   // 3. Form Setup
   const { register, handleSubmit, setValue, reset, watch, getValues, formState: { dirtyFields } } = useForm();
@@ -63,13 +73,14 @@ export default function EditProduct() {
   useEffect(() => {
     const loadAllData = async () => {
       try {
-        const [cats, fabs, des, cols, siz, tags] = await Promise.all([
+        const [cats, fabs, des, cols, siz, tags, settings] = await Promise.all([
           supabase.from('categories').select('*'),
           supabase.from('fabrics').select('*'),
           supabase.from('designs').select('*'),
           supabase.from('colors').select('*'),
           supabase.from('sizes').select('*'),
           supabase.from('tags').select('*').order('name'),
+          supabase.from('store_settings').select('low_stock_threshold').maybeSingle(),
         ]);
 
         const sizeOrder = ['S', 'M', 'L', 'XL', 'XXL', '3XL', '4XL', '5XL'];
@@ -90,6 +101,7 @@ export default function EditProduct() {
           sizes: sortedSizes,
           tags: tags.data || []
         });
+        setStoreThreshold(settings.data?.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD);
 
         const { data: product, error } = await supabase
           .from('products')
@@ -118,7 +130,8 @@ export default function EditProduct() {
           is_on_sale: product.is_on_sale,
           meta_title: product.meta_title,
           meta_description: product.meta_description,
-          keywords: product.keywords ? product.keywords.join(', ') : ''
+          keywords: product.keywords ? product.keywords.join(', ') : '',
+          low_stock_threshold: product.low_stock_threshold ?? ''
         });
 
         if (product.p_tags) {
@@ -144,6 +157,7 @@ export default function EditProduct() {
             activeColors.add(v.color_id);
             setValue(`variants.${v.color_id}.${v.size_id}.stock`, v.stock_quantity);
             setValue(`variants.${v.color_id}.${v.size_id}.sku`, v.sku);
+            setValue(`variants.${v.color_id}.${v.size_id}.threshold`, v.low_stock_threshold ?? '');
           });
         }
 
@@ -180,6 +194,9 @@ export default function EditProduct() {
   const toggleTag = (id) => setSelectedTagIds(prev => prev.includes(id) ? prev.filter(t => t !== id) : [...prev, id]);
   const removeImage = (colorId, index) => setColorImages(prev => ({ ...prev, [colorId]: prev[colorId].filter((_, i) => i !== index) }));
 
+  // What a variant falls back to when its own threshold is blank
+  const inheritedThreshold = parseThreshold(watch('low_stock_threshold')) ?? storeThreshold;
+
   const filteredColors = meta.colors.filter(c => c.name.toLowerCase().includes(colorSearch.toLowerCase()));
 
 
@@ -210,7 +227,15 @@ export default function EditProduct() {
         }
       }
 
-      const { error: pError } = await supabase
+      // Current row, for the audit diff
+      const { data: beforeProduct } = await supabase
+        .from('products')
+        .select('*, costs:product_costs(cost_price)')
+        .eq('id', id)
+        .single();
+      const beforeCost = beforeProduct?.costs?.[0]?.cost_price ?? null;
+
+      const { data: updatedProduct, error: pError } = await supabase
         .from('products')
         .update({
           name: formData.name,
@@ -223,9 +248,12 @@ export default function EditProduct() {
           design_id: formData.design_id,
           meta_title: formData.meta_title,
           meta_description: formData.meta_description,
-          keywords: keywordsArray
+          keywords: keywordsArray,
+          low_stock_threshold: parseThreshold(formData.low_stock_threshold)
         })
-        .eq('id', id);
+        .eq('id', id)
+        .select()
+        .single();
 
       if (pError) throw pError;
 
@@ -247,7 +275,7 @@ export default function EditProduct() {
       });
       if (allImages.length > 0) await supabase.from('product_images').insert(allImages);
 
-      const { data: currentDbVariants } = await supabase.from('product_variants').select('id, color_id, size_id').eq('product_id', id);
+      const { data: currentDbVariants } = await supabase.from('product_variants').select('id, color_id, size_id, stock_quantity, sku, low_stock_threshold').eq('product_id', id);
       const dbVariantMap = {};
       currentDbVariants?.forEach(v => { dbVariantMap[`${v.color_id}-${v.size_id}`] = v.id; });
 
@@ -267,7 +295,7 @@ export default function EditProduct() {
           const qty = rawQty > 0 ? rawQty : 0;
           const sku = vData?.sku;
           const existingId = dbVariantMap[`${colorId}-${size.id}`];
-          const payload = { product_id: id, color_id: colorId, size_id: size.id, stock_quantity: qty, sku: sku };
+          const payload = { product_id: id, color_id: colorId, size_id: size.id, stock_quantity: qty, sku: sku, low_stock_threshold: parseThreshold(vData?.threshold) };
 
           if (existingId) updates.push({ ...payload, id: existingId });
           else inserts.push(payload);
@@ -277,7 +305,28 @@ export default function EditProduct() {
       if (updates.length > 0) await supabase.from('product_variants').upsert(updates);
       if (inserts.length > 0) await supabase.from('product_variants').upsert(inserts, { onConflict: 'product_id,color_id,size_id' });
 
-      await logAction('UPDATE', 'Product', `Updated product: ${formData.name}`, { productId: id });
+      // Per-variant stock/SKU changes. before: null = new variant, after: null = removed with its color.
+      const variantLabel = (v) => `${meta.colors.find(c => c.id === v.color_id)?.name || v.color_id} / ${meta.sizes.find(sz => sz.id === v.size_id)?.name || v.size_id}`;
+      const variantState = (v) => ({ stock_quantity: v.stock_quantity, sku: v.sku || null, low_stock_threshold: v.low_stock_threshold ?? null });
+      const variantKey = (v) => ({ color_id: v.color_id, size_id: v.size_id });
+      const dbVariantsById = Object.fromEntries((currentDbVariants || []).map(v => [v.id, v]));
+      const variantChanges = [
+        ...updates
+          .filter(v => JSON.stringify(variantState(v)) !== JSON.stringify(variantState(dbVariantsById[v.id])))
+          .map(v => ({ id: v.id, ...variantKey(v), label: variantLabel(v), before: variantState(dbVariantsById[v.id]), after: variantState(v) })),
+        ...inserts
+          .filter(v => v.stock_quantity > 0 || v.sku || v.low_stock_threshold !== null)
+          .map(v => ({ id: null, ...variantKey(v), label: variantLabel(v), before: null, after: variantState(v) })),
+        ...variantsToDelete
+          .map(vid => ({ id: vid, ...variantKey(dbVariantsById[vid]), label: variantLabel(dbVariantsById[vid]), before: variantState(dbVariantsById[vid]), after: null }))
+      ];
+
+      const costPrice = formData.cost_price ? parseFloat(formData.cost_price) : beforeCost;
+      await logAction('UPDATE', 'Product', `Updated product: ${formData.name}`, {
+        productId: id,
+        ...diffSnapshots(productSnapshot(beforeProduct || {}, beforeCost), productSnapshot(updatedProduct, costPrice)),
+        variants: variantChanges
+      });
 
       toast.success("Product updated successfully!");
       navigate('/products');
@@ -505,6 +554,14 @@ export default function EditProduct() {
                             {...register(`variants.${colorId}.${size.id}.sku`)}
                             className="w-full bg-transparent border-b border-dashed border-slate-300 rounded-none px-0 py-0.5 text-[10px] focus:border-indigo-500 outline-none font-mono"
                           />
+                          <input
+                            type="number"
+                            min="0"
+                            title="Low-stock threshold for this size (blank = product default)"
+                            placeholder={`Alert < ${inheritedThreshold}`}
+                            {...register(`variants.${colorId}.${size.id}.threshold`, { min: 0 })}
+                            className="w-full bg-transparent rounded-none px-0 py-0.5 mt-0.5 text-[10px] text-slate-500 placeholder:text-slate-300 focus:text-slate-900 outline-none"
+                          />
                         </div>
                       ))}
                     </div>
@@ -534,12 +591,19 @@ export default function EditProduct() {
                 </button>
               ))}
             </div>
+            <div className="mt-4 pt-4 border-t border-slate-100">
+              <label className="label">Low-Stock Threshold</label>
+              <input type="number" min="0" {...register('low_stock_threshold', { min: 0 })} className="input-field" placeholder={`Store default (${storeThreshold})`} />
+              <p className="text-xs text-slate-400 mt-1">Alert when a size drops below this. Each size can override it in the stock grid.</p>
+            </div>
           </section>
 
           <button type="submit" disabled={loading} className="w-full py-3 bg-slate-900 text-white font-medium rounded-xl hover:bg-slate-800 flex items-center justify-center gap-2 shadow-lg shadow-slate-900/10 transition-all">
             {loading ? <Loader2 className="animate-spin" size={20} /> : <Save size={20} />}
             <span>{loading ? 'Updating...' : 'Save Changes'}</span>
           </button>
+
+          <EntityHistory entityKey="productId" entityId={id} className="rounded-2xl shadow-sm" />
         </div>
       </form>
     </div>
@@ -0,0 +1,293 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { toast, Toaster } from 'sonner';
+import { FileSpreadsheet, Upload, Loader2, Download, ArrowLeft, ArrowRight, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { readSpreadsheet } from '../lib/spreadsheet';
+import { IMPORT_FIELDS, guessMapping, buildImportPlan, checkSkuConflicts, importProducts } from '../lib/productImport';
+
+const STEPS = [
+  { value: 'upload', label: '1. Upload' },
+  { value: 'map', label: '2. Map Columns' },
+  { value: 'preview', label: '3. Review & Import' }
+];
+
+const downloadTemplate = () => {
+  const header = IMPORT_FIELDS.map(f => f.label).join(',');
+  const example = 'Floral Kurti,Cotton kurti with floral print,1299,,650,Kurtis,Cotton,Floral,New|Festive,Red,M,,10,https://example.com/red-1.jpg';
+  const url = URL.createObjectURL(new Blob([`${header}\n${example}\n`], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'product-import-template.csv';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function ImportProducts() {
+  const navigate = useNavigate();
+  const [step, setStep] = useState('upload');
+  const [meta, setMeta] = useState(null); // Attribute tables the sheet is validated against
+  const [sheet, setSheet] = useState(null); // { fileName, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [plan, setPlan] = useState(null); // { products, errors }
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    Promise.all([
+      supabase.from('categories').select('id, name'),
+      supabase.from('fabrics').select('id, name'),
+      supabase.from('designs').select('id, name'),
+      supabase.from('tags').select('id, name'),
+      supabase.from('colors').select('id, name'),
+      supabase.from('sizes').select('id, name')
+    ]).then(([categories, fabrics, designs, tags, colors, sizes]) => setMeta({
+      categories: categories.data || [],
+      fabrics: fabrics.data || [],
+      designs: designs.data || [],
+      tags: tags.data || [],
+      colors: colors.data || [],
+      sizes: sizes.data || []
+    }));
+  }, []);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setWorking(true);
+    try {
+      const { headers, rows } = await readSpreadsheet(file);
+      if (rows.length === 0) throw new Error('The file has a header row but no products');
+      setSheet({ fileName: file.name, headers, rows });
+      setMapping(guessMapping(headers));
+      setPlan(null);
+      setStep('map');
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message || 'Could not read the file');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateMapping = (key, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') delete next[key];
+      else next[key] = parseInt(value);
+      return next;
+    });
+  };
+
+  // Dry run: validate every row and check SKUs, nothing is written
+  const handlePreview = async () => {
+    const missing = IMPORT_FIELDS.filter(f => f.required && mapping[f.key] === undefined);
+    if (missing.length > 0) return toast.error(`Map a column for: ${missing.map(f => f.label).join(', ')}`);
+
+    setWorking(true);
+    try {
+      const { products, errors } = buildImportPlan(sheet.rows, mapping, meta);
+      const skuErrors = await checkSkuConflicts(products);
+      setPlan({ products, errors: [...errors, ...skuErrors].sort((a, b) => a.row - b.row) });
+      setStep('preview');
+    } catch (error) {
+      console.error(error);
+      toast.error('Could not validate the file');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    try {
+      const ids = await importProducts(plan.products, sheet.fileName);
+      toast.success(`Imported ${ids.length} products`);
+      navigate('/products');
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message || 'Import failed, nothing was created');
+      setWorking(false);
+    }
+  };
+
+  const variantCount = plan?.products.reduce((sum, p) => sum + p.variants.length, 0) || 0;
+
+  return (
+    <div className="max-w-6xl mx-auto pb-20 pt-6 px-6 space-y-6">
+      <Toaster position="top-right" richColors />
+
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+            <FileSpreadsheet className="text-slate-400" /> Import Products
+          </h1>
+          <p className="text-slate-500">Create products, variants and images from a CSV or Excel sheet.</p>
+        </div>
+        <button onClick={downloadTemplate} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-200 text-slate-600 text-sm font-medium rounded-lg hover:bg-slate-50">
+          <Download size={16} /> Template
+        </button>
+      </div>
+
+      {/* Steps */}
+      <div className="flex gap-4 border-b border-slate-200">
+        {STEPS.map(s => (
+          <span key={s.value} className={`pb-3 px-1 text-sm font-medium border-b-2 ${step === s.value ? 'border-slate-900 text-slate-900' : 'border-transparent text-slate-400'}`}>
+            {s.label}
+          </span>
+        ))}
+      </div>
+
+      {/* STEP 1: UPLOAD */}
+      {step === 'upload' && (
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6 space-y-4">
+          <label className={`flex flex-col items-center justify-center gap-3 border-2 border-dashed border-slate-200 rounded-xl p-12 text-center transition-colors ${meta && !working ? 'cursor-pointer hover:border-indigo-300 hover:bg-indigo-50/30' : 'opacity-60'}`}>
+            {working || !meta ? <Loader2 className="animate-spin text-indigo-500" size={28} /> : <Upload className="text-slate-400" size={28} />}
+            <span className="text-sm font-medium text-slate-700">Choose a .csv or .xlsx file</span>
+            <span className="text-xs text-slate-400">The first row must hold column names. Only the first sheet of a workbook is read.</span>
+            <input type="file" accept=".csv,.xlsx" onChange={handleFile} disabled={!meta || working} className="hidden" />
+          </label>
+          <ul className="text-xs text-slate-500 space-y-1 list-disc pl-5">
+            <li>One row per variant (color + size). Rows with the same product name become one product.</li>
+            <li>Product columns like price and category only need filling on one row of each product.</li>
+            <li>Separate tags and image URLs with "|". Images belong to the row's color; the first one is the primary image.</li>
+            <li>Category, fabric, design, tags, colors and sizes must already exist under Attributes. Blank SKUs are generated.</li>
+          </ul>
+        </div>
+      )}
+
+      {/* STEP 2: MAP COLUMNS */}
+      {step === 'map' && sheet && (
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+          <div className="px-6 py-4 border-b border-slate-100 bg-slate-50/50 text-sm text-slate-500">
+            <span className="font-medium text-slate-900">{sheet.fileName}</span> · {sheet.rows.length} rows. Match each field to a column of your sheet.
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4 p-6">
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.key} className="flex items-center gap-3">
+                <label className="w-32 shrink-0 text-sm font-medium text-slate-700">
+                  {field.label}{field.required && <span className="text-red-500"> *</span>}
+                </label>
+                <select
+                  value={mapping[field.key] ?? ''}
+                  onChange={(e) => updateMapping(field.key, e.target.value)}
+                  className="flex-1 p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm"
+                >
+                  <option value="">— Not in file —</option>
+                  {sheet.headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                </select>
+                <span className="w-32 truncate text-xs text-slate-400" title={sheet.rows[0]?.cells[mapping[field.key]]}>
+                  {mapping[field.key] !== undefined ? sheet.rows[0]?.cells[mapping[field.key]] || '(blank)' : ''}
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex justify-between">
+            <button onClick={() => setStep('upload')} className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+              <ArrowLeft size={16} /> Choose Another File
+            </button>
+            <button onClick={handlePreview} disabled={working} className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black disabled:opacity-50">
+              {working ? <Loader2 size={16} className="animate-spin" /> : <ArrowRight size={16} />} Check File
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* STEP 3: DRY RUN PREVIEW */}
+      {step === 'preview' && plan && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Rows', value: sheet.rows.length },
+              { label: 'Products Ready', value: plan.products.length },
+              { label: 'Variants Ready', value: variantCount },
+              { label: 'Errors', value: plan.errors.length, danger: plan.errors.length > 0 }
+            ].map(card => (
+              <div key={card.label} className="bg-white border border-slate-200 rounded-xl shadow-sm p-4">
+                <div className="text-xs text-slate-500">{card.label}</div>
+                <div className={`text-2xl font-bold ${card.danger ? 'text-red-600' : 'text-slate-900'}`}>{card.value}</div>
+              </div>
+            ))}
+          </div>
+
+          {plan.errors.length > 0 ? (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+              <h3 className="text-sm font-semibold text-red-800 flex items-center gap-2 mb-3">
+                <AlertCircle size={16} /> Fix these rows in your sheet and upload it again. Nothing is imported while errors remain.
+              </h3>
+              <ul className="text-sm text-red-700 space-y-1 max-h-64 overflow-y-auto">
+                {plan.errors.map((error, i) => (
+                  <li key={i}><span className="font-mono text-xs font-bold mr-2">Row {error.row}</span>{error.message}</li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <div className="bg-emerald-50 border border-emerald-200 rounded-xl p-4 text-sm text-emerald-800 flex items-center gap-2">
+              <CheckCircle2 size={16} /> All rows are valid. {plan.products.length} products with {variantCount} variants will be created.
+            </div>
+          )}
+
+          <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+                  <tr>
+                    <th className="px-6 py-4">Product</th>
+                    <th className="px-6 py-4">Category</th>
+                    <th className="px-6 py-4 text-right">Price</th>
+                    <th className="px-6 py-4">Variants</th>
+                    <th className="px-6 py-4 text-right">Stock</th>
+                    <th className="px-6 py-4 text-right">Images</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {plan.products.length === 0 ? (
+                    <tr><td colSpan="6" className="p-12 text-center text-slate-400">No product in the file is ready to import.</td></tr>
+                  ) : (
+                    plan.products.map(product => (
+                      <tr key={product.name} className="hover:bg-slate-50 transition-colors align-top">
+                        <td className="px-6 py-4">
+                          <div className="font-medium text-slate-900">{product.name}</div>
+                          <div className="text-xs text-slate-400">Rows {product.rows.join(', ')}</div>
+                        </td>
+                        <td className="px-6 py-4 text-slate-600">{product.categoryName}</td>
+                        <td className="px-6 py-4 text-right">
+                          {product.is_on_sale ? (
+                            <div>
+                              <span className="font-bold text-emerald-600">₹{product.sale_price}</span>
+                              <div className="text-xs text-slate-400 line-through">₹{product.price}</div>
+                            </div>
+                          ) : <span className="font-medium text-slate-900">₹{product.price}</span>}
+                        </td>
+                        <td className="px-6 py-4 text-xs text-slate-500">
+                          {product.variants.map(v => (
+                            <div key={v.sku}>{v.colorName} / {v.sizeName} <span className="font-mono text-slate-400">{v.sku}</span></div>
+                          ))}
+                        </td>
+                        <td className="px-6 py-4 text-right text-slate-900 font-medium">{product.variants.reduce((sum, v) => sum + v.stock_quantity, 0)}</td>
+                        <td className="px-6 py-4 text-right text-slate-600">{product.images.length}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex justify-between">
+              <button onClick={() => setStep('map')} disabled={working} className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+                <ArrowLeft size={16} /> Back to Mapping
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={working || plan.errors.length > 0 || plan.products.length === 0}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {working ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />} Import {plan.products.length} Products
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
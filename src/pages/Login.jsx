@@ -1,19 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
-import { Loader2, Mail, Lock, ArrowRight } from 'lucide-react';
+import { Loader2, Mail, Lock, ArrowRight, ArrowLeft, MailCheck, ShieldCheck, ShieldAlert } from 'lucide-react';
 import { logAction } from '../lib/logger';
+import { touchActivity } from '../lib/session';
+import { getTotpFactor, redeemBackupCode } from '../lib/mfa';
+import { getLoginLockout, logOut } from '../lib/loginAudit';
+import { useAuth } from '../context/AuthContext';
 
 export default function Login() {
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState('login'); // 'login', 'forgot', 'sent'
+  const [resetEmail, setResetEmail] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(null);
   const navigate = useNavigate();
+  const { user, accessLoading, mfa, refreshAccess } = useAuth();
 
-  // Auto-redirect if already logged in
+  // Password accepted, but this account has 2FA and still needs a code
+  const awaitingCode = !!user && !accessLoading && mfa.needsChallenge;
+  const step = awaitingCode ? (useBackupCode ? 'backup' : 'mfa') : mode;
+
+  // Auto-redirect if already logged in (and past 2FA)
   useEffect(() => {
-    supabase.auth.getSession().then(({ data: { session } }) => {
-      if (session) navigate('/');
-    });
-  }, [navigate]);
+    if (user && !accessLoading && !mfa.needsChallenge) navigate('/');
+  }, [user, accessLoading, mfa.needsChallenge, navigate]);
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -29,8 +40,21 @@ export default function Login() {
     });
 
     if (error) {
-      alert(error.message);
+      // Auth already recorded the failure and refuses locked accounts, this only explains why
+      const lockout = await getLoginLockout(email);
+      if (lockout) setLockedUntil(lockout);
+      else alert(error.message);
     } else {
+      setLockedUntil(null);
+      touchActivity(); // Start the idle clock fresh so a stale one doesn't sign us straight out
+
+      // 2FA accounts log in once the code is verified
+      const { data: aal } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+      if (aal?.nextLevel === 'aal2' && aal.currentLevel !== 'aal2') {
+        setLoading(false);
+        return;
+      }
+
       await logAction('LOGIN', 'Auth', `User logged in: ${email}`);
       navigate('/');
     }
@@ -38,6 +62,93 @@ export default function Login() {
     setLoading(false);
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const code = new FormData(e.currentTarget).get('code').trim();
+
+    try {
+      const factor = await getTotpFactor();
+      if (!factor) throw new Error('No authenticator found for this account');
+
+      const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId: factor.id, code });
+      if (error) {
+        await handleFailedCode();
+        throw error;
+      }
+
+      await logAction('LOGIN', 'Auth', `User logged in: ${user.email}`, { method: 'totp' });
+      await refreshAccess(); // Session is aal2 now, the redirect effect takes over
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackupCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const code = new FormData(e.currentTarget).get('code');
+
+    try {
+      const valid = await redeemBackupCode(code);
+      if (!valid) {
+        await handleFailedCode();
+        throw new Error('Invalid or already used backup code');
+      }
+
+      // The redeem removed the TOTP factor server-side, refresh so the session reflects it
+      await supabase.auth.refreshSession();
+      await logAction('LOGIN', 'Auth', `User logged in with a backup code: ${user.email}`, { method: 'backup_code' });
+      await refreshAccess();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Wrong 2FA codes count towards the same lockout as wrong passwords (recorded server-side)
+  const handleFailedCode = async () => {
+    const lockout = await getLoginLockout(user.email);
+    if (lockout) {
+      setLockedUntil(lockout);
+      setUseBackupCode(false);
+      await supabase.auth.signOut();
+    }
+  };
+
+  const cancelChallenge = async () => {
+    setUseBackupCode(false);
+    await logOut(user.email, 'mfa_cancelled');
+  };
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const formData = new FormData(e.currentTarget);
+    const email = formData.get('email');
+
+    // Supabase emails a recovery link that lands on /reset-password with a recovery session
+    const { error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: `${window.location.origin}/reset-password`,
+    });
+
+    // Not audited here: log_admin_action needs a session. Supabase Auth keeps its own record of the request.
+    if (error) {
+      alert(error.message);
+    } else {
+      setResetEmail(email);
+      setMode('sent');
+    }
+
+    setLoading(false);
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-slate-50 relative overflow-hidden">
 
@@ -94,66 +205,185 @@ export default function Login() {
                     className="h-16 mx-auto mb-6 object-contain"
                 />
 
-                <h1 className="text-2xl font-bold text-slate-900 mb-2">Welcome Back</h1>
-                <p className="text-slate-500 text-sm">Enter your credentials to access the admin portal.</p>
+                <h1 className="text-2xl font-bold text-slate-900 mb-2">
+                    {step === 'login' ? 'Welcome Back' : awaitingCode ? 'Two-Factor Verification' : 'Reset Password'}
+                </h1>
+                <p className="text-slate-500 text-sm">
+                    {step === 'login'
+                        ? 'Enter your credentials to access the admin portal.'
+                        : step === 'mfa'
+                        ? 'Enter the 6-digit code from your authenticator app.'
+                        : step === 'backup'
+                        ? 'Enter one of the backup codes you saved when setting up 2FA.'
+                        : "We'll email you a secure link to choose a new password."}
+                </p>
             </div>
 
             {/* Form Section */}
             <div className="p-8 pt-6">
-                <form onSubmit={handleLogin} className="space-y-5">
-
-                    {/* Email Input */}
-                    <div className="space-y-1.5">
-                        <label className="block text-sm font-medium text-slate-700 mb-1.5 ml-1">
-                             <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Email Address</span>
-                        </label>
-                        <div className="relative group">
-                            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                                <Mail className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                {awaitingCode ? (
+                    <form onSubmit={step === 'mfa' ? handleVerifyCode : handleBackupCode} className="space-y-5">
+                        <div className="space-y-1.5">
+                            <label className="block text-sm font-medium text-slate-700 mb-1.5 ml-1">
+                                <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">{step === 'mfa' ? 'Authentication Code' : 'Backup Code'}</span>
+                            </label>
+                            <div className="relative group">
+                                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                    <ShieldCheck className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                                </div>
+                                <input
+                                    key={step}
+                                    name="code"
+                                    required
+                                    autoFocus
+                                    autoComplete="one-time-code"
+                                    inputMode={step === 'mfa' ? 'numeric' : 'text'}
+                                    maxLength={step === 'mfa' ? 6 : 9}
+                                    placeholder={step === 'mfa' ? '123456' : 'XXXX-XXXX'}
+                                    className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl leading-5 bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all duration-200 sm:text-sm text-slate-900 font-mono tracking-widest"
+                                />
                             </div>
-                            <input
-                                name="email"
-                                type="email"
-                                required
-                                placeholder="name@company.com"
-                                className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl leading-5 bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all duration-200 sm:text-sm text-slate-900"
-                            />
                         </div>
+
+                        <button
+                            disabled={loading}
+                            className="w-full flex items-center justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all active:scale-[0.98]"
+                        >
+                            {loading ? <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" /> : 'Verify'}
+                        </button>
+
+                        <div className="flex items-center justify-between text-sm">
+                            <button type="button" onClick={() => setUseBackupCode(!useBackupCode)} className="font-medium text-indigo-600 hover:text-indigo-800">
+                                {step === 'mfa' ? 'Use a backup code' : 'Use authenticator app'}
+                            </button>
+                            <button type="button" onClick={cancelChallenge} className="flex items-center gap-1 font-medium text-slate-500 hover:text-slate-900">
+                                <ArrowLeft size={16} /> Cancel
+                            </button>
+                        </div>
+                    </form>
+                ) : mode === 'sent' ? (
+                    <div className="text-center space-y-5">
+                        <div className="flex gap-3 p-4 bg-emerald-50 text-emerald-700 text-sm rounded-xl border border-emerald-100 text-left">
+                            <MailCheck size={20} className="shrink-0" />
+                            <p>If <strong>{resetEmail}</strong> belongs to an admin account, a reset link is on its way. Check your inbox and spam folder.</p>
+                        </div>
+                        <button
+                            type="button"
+                            onClick={() => setMode('login')}
+                            className="inline-flex items-center gap-2 text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                        >
+                            <ArrowLeft size={16} /> Back to Sign In
+                        </button>
                     </div>
+                ) : mode === 'forgot' ? (
+                    <form onSubmit={handleForgotPassword} className="space-y-5">
 
-                    {/* Password Input */}
-                    <div className="space-y-1.5">
-                        <label className="block text-sm font-medium text-slate-700 mb-1.5 ml-1">
-                            <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Password</span>
-                        </label>
-                        <div className="relative group">
-                            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                                <Lock className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                        {/* Email Input */}
+                        <div className="space-y-1.5">
+                            <label className="block text-sm font-medium text-slate-700 mb-1.5 ml-1">
+                                 <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Email Address</span>
+                            </label>
+                            <div className="relative group">
+                                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                    <Mail className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                                </div>
+                                <input
+                                    name="email"
+                                    type="email"
+                                    required
+                                    placeholder="name@company.com"
+                                    className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl leading-5 bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all duration-200 sm:text-sm text-slate-900"
+                                />
                             </div>
-                            <input
-                                name="password"
-                                type="password"
-                                required
-                                placeholder="••••••••"
-                                className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl leading-5 bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all duration-200 sm:text-sm text-slate-900"
-                            />
                         </div>
-                    </div>
 
-                    {/* Submit Button */}
-                    <button
-                        disabled={loading}
-                        className="w-full flex items-center justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all active:scale-[0.98]"
-                    >
-                        {loading ? (
-                            <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
-                        ) : (
-                            <>
-                                Sign In <ArrowRight className="ml-2 h-4 w-4 opacity-70" />
-                            </>
+                        {/* Submit Button */}
+                        <button
+                            disabled={loading}
+                            className="w-full flex items-center justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all active:scale-[0.98]"
+                        >
+                            {loading ? <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" /> : 'Send Reset Link'}
+                        </button>
+
+                        <button
+                            type="button"
+                            onClick={() => setMode('login')}
+                            className="w-full flex items-center justify-center gap-2 text-sm font-medium text-slate-500 hover:text-slate-900"
+                        >
+                            <ArrowLeft size={16} /> Back to Sign In
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={handleLogin} className="space-y-5">
+                        {lockedUntil && (
+                            <div className="flex gap-3 p-4 bg-red-50 text-red-700 text-sm rounded-xl border border-red-100">
+                                <ShieldAlert size={20} className="shrink-0" />
+                                <p>Too many failed sign-in attempts. This account is locked until <strong>{lockedUntil.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</strong>.</p>
+                            </div>
                         )}
-                    </button>
-                </form>
+
+                        {/* Email Input */}
+                        <div className="space-y-1.5">
+                            <label className="block text-sm font-medium text-slate-700 mb-1.5 ml-1">
+                                 <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Email Address</span>
+                            </label>
+                            <div className="relative group">
+                                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                    <Mail className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                                </div>
+                                <input
+                                    name="email"
+                                    type="email"
+                                    required
+                                    placeholder="name@company.com"
+                                    className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl leading-5 bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all duration-200 sm:text-sm text-slate-900"
+                                />
+                            </div>
+                        </div>
+
+                        {/* Password Input */}
+                        <div className="space-y-1.5">
+                            <div className="flex items-center justify-between">
+                                <label className="block text-sm font-medium text-slate-700 mb-1.5 ml-1">
+                                    <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Password</span>
+                                </label>
+                                <button
+                                    type="button"
+                                    onClick={() => setMode('forgot')}
+                                    className="text-xs font-medium text-indigo-600 hover:text-indigo-800 mb-1.5"
+                                >
+                                    Forgot password?
+                                </button>
+                            </div>
+                            <div className="relative group">
+                                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                    <Lock className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                                </div>
+                                <input
+                                    name="password"
+                                    type="password"
+                                    required
+                                    placeholder="••••••••"
+                                    className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl leading-5 bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all duration-200 sm:text-sm text-slate-900"
+                                />
+                            </div>
+                        </div>
+
+                        {/* Submit Button */}
+                        <button
+                            disabled={loading}
+                            className="w-full flex items-center justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all active:scale-[0.98]"
+                        >
+                            {loading ? (
+                                <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                            ) : (
+                                <>
+                                    Sign In <ArrowRight className="ml-2 h-4 w-4 opacity-70" />
+                                </>
+                          )}
+                      </button>
+                  </form>
+                )}
             </div>
 
             {/* Footer */}
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast, Toaster } from 'sonner';
+import { AlertTriangle, Loader2, Search, RefreshCcw, Pencil } from 'lucide-react';
+import { fetchLowStock } from '../lib/inventory';
+
+export default function LowStock() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    loadLowStock();
+  }, []);
+
+  const loadLowStock = async () => {
+    setLoading(true);
+    try {
+      const { items } = await fetchLowStock();
+      setItems(items);
+    } catch (error) {
+      toast.error('Error loading low-stock variants');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const filtered = term
+    ? items.filter(item => [item.product_name, item.sku, item.color_name, item.size_name].some(v => v?.toLowerCase().includes(term)))
+    : items;
+  const outOfStock = items.filter(item => item.stock_quantity <= 0).length;
+
+  return (
+    <div className="max-w-6xl mx-auto pb-20 pt-6 px-6">
+      <Toaster position="top-right" richColors />
+
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+            <AlertTriangle className="text-amber-500" /> Low Stock
+          </h1>
+          <p className="text-slate-500">
+            {items.length} {items.length === 1 ? 'variant is' : 'variants are'} below their reorder threshold
+            {outOfStock > 0 && <span className="text-red-600 font-medium"> · {outOfStock} out of stock</span>}
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search product, SKU, color..."
+              className="pl-9 pr-3 py-2 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500/20 outline-none w-64"
+            />
+          </div>
+          <button
+            onClick={loadLowStock}
+            disabled={loading}
+            title="Refresh"
+            className="p-2 border border-slate-200 rounded-lg text-slate-500 hover:text-slate-900 hover:bg-slate-50 disabled:opacity-50"
+          >
+            <RefreshCcw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      {/* Table */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4">Product</th>
+                <th className="px-6 py-4">Variant</th>
+                <th className="px-6 py-4">SKU</th>
+                <th className="px-6 py-4 text-right">In Stock</th>
+                <th className="px-6 py-4 text-right">Threshold</th>
+                <th className="px-6 py-4 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {loading ? (
+                <tr><td colSpan="6" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : filtered.length === 0 ? (
+                <tr><td colSpan="6" className="p-12 text-center text-slate-400">{items.length === 0 ? 'Inventory levels are healthy.' : 'No variants match your search.'}</td></tr>
+              ) : (
+                filtered.map(item => (
+                  <tr key={item.variant_id} className="hover:bg-slate-50 transition-colors">
+                    <td className="px-6 py-4 font-medium text-slate-900">{item.product_name}</td>
+                    <td className="px-6 py-4 text-slate-600">
+                      <div className="flex items-center gap-2">
+                        {item.color_hex && <span className="w-3 h-3 rounded-full border border-slate-200" style={{ backgroundColor: item.color_hex }} />}
+                        {item.color_name} • {item.size_name}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 font-mono text-xs text-slate-500">{item.sku || '—'}</td>
+                    <td className="px-6 py-4 text-right">
+                      <span className={`font-bold ${item.stock_quantity <= 0 ? 'text-red-600' : 'text-amber-600'}`}>{item.stock_quantity}</span>
+                    </td>
+                    <td className="px-6 py-4 text-right text-slate-500">{item.threshold}</td>
+                    <td className="px-6 py-4 text-right">
+                      <Link
+                        to={`/edit-product/${item.product_id}`}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-slate-600 border border-slate-200 rounded-lg hover:bg-white hover:text-slate-900"
+                      >
+                        <Pencil size={12} /> Restock
+                      </Link>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
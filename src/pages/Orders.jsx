@@ -21,8 +21,29 @@ import {
   Square
 } from 'lucide-react';
 import { logAction } from '../lib/logger';
+import { useAuth } from '../context/AuthContext';
+import EntityHistory from '../components/audit/EntityHistory';
+import { subscribeToOrders } from '../lib/orderFeed';
+
+const ORDER_SELECT = `
+  *,
+  items:order_items (
+    id, quantity, price_at_purchase,
+    variant:product_variants (
+      id,
+      stock_quantity,
+      size:sizes(name),
+      color:colors(name),
+      product:products(name, id)
+    )
+  )
+`;
+
+// A new order's items are written right after the order row, so give them a moment before fetching
+const NEW_ORDER_SETTLE_MS = 1500;
 
 export default function Orders() {
+  const { can } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [expandedOrderId, setExpandedOrderId] = useState(null);
@@ -53,24 +74,29 @@ export default function Orders() {
     fetchOrders();
   }, []);
 
+  // Live updates: re-read the changed order (with items) and merge it into the list
+  useEffect(() => {
+    const mergeOrder = async (row) => {
+      const { data, error } = await supabase.from('orders').select(ORDER_SELECT).eq('id', row.id).maybeSingle();
+      if (error || !data) return;
+      setOrders(prev => prev.some(o => o.id === data.id)
+        ? prev.map(o => o.id === data.id ? data : o)
+        : [data, ...prev]);
+    };
+
+    return subscribeToOrders('orders-page', {
+      onInsert: (row) => setTimeout(() => mergeOrder(row), NEW_ORDER_SETTLE_MS),
+      onUpdate: mergeOrder,
+      onDelete: (row) => setOrders(prev => prev.filter(o => o.id !== row.id))
+    });
+  }, []);
+
   const fetchOrders = async () => {
     setLoading(true);
     try {
       const { data, error } = await supabase
         .from('orders')
-        .select(`
-          *,
-          items:order_items (
-            id, quantity, price_at_purchase,
-            variant:product_variants (
-              id,
-              stock_quantity,
-              size:sizes(name),
-              color:colors(name),
-              product:products(name, id)
-            )
-          )
-        `)
+        .select(ORDER_SELECT)
         .order('created_at', { ascending: false });
 
       if (error) throw error;
@@ -101,7 +127,7 @@ export default function Orders() {
   // --- NEW: Print Manifest Logic ---
   const generateManifest = () => {
     if (selectedOrderIds.length === 0) return toast.error("Select orders to print");
-    logAction('PRINT', 'Order', `Printed manifest for ${selectedOrderIds.length} orders`);
+    logAction('PRINT', 'Order', `Printed manifest for ${selectedOrderIds.length} orders`, { orderIds: selectedOrderIds });
     const selectedData = orders.filter(o => selectedOrderIds.includes(o.id));
     const printWindow = window.open('', '_blank');
 
@@ -272,7 +298,7 @@ export default function Orders() {
         {order.status === 'confirmed' && <button onClick={() => initiateStatusUpdate(order, 'processing')} className="flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white text-xs font-medium rounded-md hover:bg-indigo-700 transition-colors shadow-sm"><Box size={14} /> Pack Order</button>}
         {order.status === 'processing' && <button onClick={() => initiateStatusUpdate(order, 'shipped')} className="flex items-center gap-1 px-3 py-1.5 bg-purple-600 text-white text-xs font-medium rounded-md hover:bg-purple-700 transition-colors shadow-sm"><Truck size={14} /> Ship</button>}
         {order.status === 'shipped' && <button onClick={() => initiateStatusUpdate(order, 'delivered')} className="flex items-center gap-1 px-3 py-1.5 bg-emerald-600 text-white text-xs font-medium rounded-md hover:bg-emerald-700 transition-colors shadow-sm"><CheckCircle size={14} /> Complete</button>}
-        <button onClick={() => initiateStatusUpdate(order, 'cancelled')} className="p-1.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors" title="Cancel Order"><XCircle size={18} /></button>
+        {can('orders.cancel') && <button onClick={() => initiateStatusUpdate(order, 'cancelled')} className="p-1.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors" title="Cancel Order"><XCircle size={18} /></button>}
       </div>
     );
   };
@@ -443,9 +469,15 @@ export default function Orders() {
                                                     </div>
                                                 </div>
                                             ))}
-                                            <div className="p-3 bg-slate-50 text-right"><span className="text-xs font-bold text-slate-500 uppercase mr-2">Total</span><span className="font-bold text-slate-900">₹{order.total_amount}</span></div>
+                                            <div className="p-3 bg-slate-50 text-right">
+                                                {order.coupon_code && (
+                                                    <span className="text-xs text-emerald-600 mr-4">Coupon <span className="font-mono font-semibold">{order.coupon_code}</span> −₹{order.discount_amount}</span>
+                                                )}
+                                                <span className="text-xs font-bold text-slate-500 uppercase mr-2">Total</span><span className="font-bold text-slate-900">₹{order.total_amount}</span>
+                                            </div>
                                         </div>
                                     </div>
+                                    <EntityHistory entityKey="orderId" entityId={order.id} className="lg:col-span-2" />
                                 </div>
                             </td>
                         </tr>
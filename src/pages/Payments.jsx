@@ -0,0 +1,433 @@
+import React, { useEffect, useState } from 'react';
+import { toast, Toaster } from 'sonner';
+import { supabase } from '../lib/supabase';
+import {
+  Wallet,
+  Loader2,
+  X,
+  CheckCircle,
+  BadgeCheck,
+  Truck,
+  IndianRupee,
+  Clock,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import { getDateRange } from '../lib/analytics';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  getPaymentMethodLabel,
+  fetchPaymentBreakdown,
+  fetchOutstandingCod,
+  updatePaymentStatus
+} from '../lib/payments';
+import DateRangePicker from '../components/reports/DateRangePicker';
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+const PAGE_SIZE = 25;
+const OUTSTANDING_PREVIEW = 10;
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+const getPaymentStatusColor = (status) => {
+  switch (status) {
+    case 'received': return 'bg-blue-100 text-blue-800';
+    case 'reconciled': return 'bg-emerald-100 text-emerald-800';
+    default: return 'bg-amber-100 text-amber-800';
+  }
+};
+
+// Sums breakdown rows into { [method]: { count, amount, byStatus: {...}, byPayment: {...} } }
+const pivotBreakdown = (rows) => {
+  const methods = {};
+  rows.forEach(row => {
+    const method = methods[row.payment_method] || (methods[row.payment_method] = { count: 0, amount: 0, byStatus: {}, byPayment: {} });
+    method.count += row.order_count;
+    method.amount += row.amount;
+
+    const status = method.byStatus[row.status] || (method.byStatus[row.status] = { count: 0, amount: 0 });
+    status.count += row.order_count;
+    status.amount += row.amount;
+
+    if (row.status !== 'cancelled') method.byPayment[row.payment_status] = (method.byPayment[row.payment_status] || 0) + row.amount;
+  });
+  return methods;
+};
+
+const fetchOrdersPage = ({ start, end, method, paymentStatus, page }) => {
+  let query = supabase
+    .from('orders')
+    .select('id, order_number, customer_name, created_at, status, payment_method, payment_status, payment_reference, total_amount', { count: 'exact' })
+    .gte('created_at', start)
+    .lt('created_at', end)
+    .order('created_at', { ascending: false })
+    .range((page - 1) * PAGE_SIZE, page * PAGE_SIZE - 1);
+
+  if (method) query = query.eq('payment_method', method);
+  if (paymentStatus === 'pending') query = query.or('payment_status.is.null,payment_status.eq.pending');
+  else if (paymentStatus) query = query.eq('payment_status', paymentStatus);
+  return query;
+};
+
+export default function Payments() {
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '' });
+  const [filters, setFilters] = useState({ method: '', paymentStatus: '', page: 1 });
+  const [version, setVersion] = useState(0); // Bumped after a payment update to refresh the totals
+
+  const [breakdown, setBreakdown] = useState({ key: null, rows: [] });
+  const [orders, setOrders] = useState({ key: null, rows: [], total: 0 });
+  const [outstandingCod, setOutstandingCod] = useState({ loaded: false, rows: [] });
+
+  // MODAL STATE
+  const [paymentModal, setPaymentModal] = useState({ open: false, order: null, status: 'received', reference: '' });
+  const [saving, setSaving] = useState(false);
+
+  const dateRange = getDateRange(range);
+  const rangeKey = `${dateRange.start.toISOString()}|${dateRange.end.toISOString()}`;
+  const ordersKey = JSON.stringify({ rangeKey, ...filters });
+  const breakdownLoading = breakdown.key !== rangeKey;
+  const ordersLoading = orders.key !== ordersKey;
+  const totalPages = Math.max(1, Math.ceil(orders.total / PAGE_SIZE));
+
+  useEffect(() => {
+    let ignore = false;
+    const [start, end] = rangeKey.split('|');
+
+    fetchPaymentBreakdown({ start: new Date(start), end: new Date(end) })
+      .then(rows => { if (!ignore) setBreakdown({ key: rangeKey, rows }); })
+      .catch(error => {
+        console.error(error);
+        toast.error('Could not load payment breakdown');
+        if (!ignore) setBreakdown({ key: rangeKey, rows: [] });
+      });
+
+    return () => { ignore = true; };
+  }, [rangeKey, version]);
+
+  useEffect(() => {
+    let ignore = false;
+    const { rangeKey: key, ...selected } = JSON.parse(ordersKey);
+    const [start, end] = key.split('|');
+
+    fetchOrdersPage({ start, end, ...selected }).then(({ data, count, error }) => {
+      if (error) {
+        console.error(error);
+        toast.error('Could not load orders');
+      }
+      if (!ignore) setOrders({ key: ordersKey, rows: data || [], total: count || 0 });
+    });
+
+    return () => { ignore = true; };
+  }, [ordersKey]);
+
+  useEffect(() => {
+    fetchOutstandingCod()
+      .then(rows => setOutstandingCod({ loaded: true, rows }))
+      .catch(error => {
+        console.error(error);
+        setOutstandingCod({ loaded: true, rows: [] });
+      });
+  }, [version]);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value, page: key === 'page' ? value : 1 }));
+
+  const openPaymentModal = (order, status) => {
+    setPaymentModal({ open: true, order, status, reference: order.payment_reference || '' });
+  };
+
+  const handleSavePayment = async (e) => {
+    e.preventDefault();
+    const { order, status, reference } = paymentModal;
+    if (status === 'reconciled' && !reference.trim()) return toast.error('A reference number is needed to reconcile');
+
+    setSaving(true);
+    try {
+      const updated = await updatePaymentStatus(order, status, reference);
+      setOrders(prev => ({ ...prev, rows: prev.rows.map(o => o.id === updated.id ? { ...o, ...updated } : o) }));
+      setVersion(v => v + 1);
+      setPaymentModal({ ...paymentModal, open: false });
+      toast.success(`Order #${order.order_number} marked ${status}`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const methods = pivotBreakdown(breakdown.rows);
+  const methodKeys = Object.keys(methods).sort((a, b) => methods[b].amount - methods[a].amount);
+  const paymentTotals = Object.values(methods).reduce((acc, m) => {
+    PAYMENT_STATUSES.forEach(status => { acc[status] = (acc[status] || 0) + (m.byPayment[status] || 0); });
+    return acc;
+  }, {});
+  const outstandingCodAmount = outstandingCod.rows.reduce((sum, o) => sum + (o.total_amount || 0), 0);
+
+  return (
+    <div className="max-w-7xl mx-auto pb-20 pt-6 px-6 space-y-6">
+      <Toaster position="top-right" richColors />
+
+      {/* PAYMENT MODAL */}
+      {paymentModal.open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm p-4">
+          <form onSubmit={handleSavePayment} className="bg-white rounded-2xl shadow-xl w-full max-w-md overflow-hidden animate-in fade-in zoom-in-95 duration-200">
+            <div className="px-6 py-4 bg-slate-50 border-b border-slate-100 flex justify-between items-center">
+              <h3 className="font-semibold text-slate-900">Order #{paymentModal.order.order_number} Payment</h3>
+              <button type="button" onClick={() => setPaymentModal({ ...paymentModal, open: false })} className="text-slate-400 hover:text-slate-600"><X size={20} /></button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div className="text-sm text-slate-500">
+                {paymentModal.order.customer_name} · {getPaymentMethodLabel(paymentModal.order.payment_method)} · <span className="font-semibold text-slate-900">{formatMoney(paymentModal.order.total_amount || 0)}</span>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Mark As</label>
+                <select
+                  value={paymentModal.status}
+                  onChange={(e) => setPaymentModal({ ...paymentModal, status: e.target.value })}
+                  className="w-full px-3 py-2.5 text-sm border border-slate-200 rounded-lg bg-white capitalize focus:ring-2 focus:ring-indigo-500 outline-none"
+                >
+                  {PAYMENT_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  Reference Number {paymentModal.status !== 'reconciled' && <span className="text-slate-400 font-normal">(Optional)</span>}
+                </label>
+                <input
+                  type="text"
+                  value={paymentModal.reference}
+                  onChange={(e) => setPaymentModal({ ...paymentModal, reference: e.target.value })}
+                  className="w-full px-3 py-2.5 text-sm border border-slate-200 rounded-lg font-mono focus:ring-2 focus:ring-indigo-500 outline-none"
+                  placeholder="UTR / transaction ID / remittance no."
+                />
+              </div>
+            </div>
+            <div className="px-6 py-4 bg-slate-50 border-t border-slate-100 flex justify-end gap-3">
+              <button type="button" onClick={() => setPaymentModal({ ...paymentModal, open: false })} className="px-4 py-2 text-sm font-medium text-slate-600 hover:text-slate-900">Cancel</button>
+              <button type="submit" disabled={saving} className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black disabled:opacity-50">
+                {saving && <Loader2 className="animate-spin" size={16} />} Save
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+            <Wallet className="text-slate-400" /> Payments
+          </h1>
+          <p className="text-slate-500">Orders by payment method, and what has actually been collected.</p>
+        </div>
+        <DateRangePicker value={range} onChange={setRange} />
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <SummaryCard title="Awaiting Payment" value={formatMoney(paymentTotals.pending || 0)} icon={<Clock className="text-amber-600" size={22} />} bg="bg-amber-50" loading={breakdownLoading} />
+        <SummaryCard title="Received" value={formatMoney(paymentTotals.received || 0)} icon={<CheckCircle className="text-blue-600" size={22} />} bg="bg-blue-50" loading={breakdownLoading} />
+        <SummaryCard title="Reconciled" value={formatMoney(paymentTotals.reconciled || 0)} icon={<BadgeCheck className="text-emerald-600" size={22} />} bg="bg-emerald-50" loading={breakdownLoading} />
+        <SummaryCard
+          title="Outstanding COD"
+          value={formatMoney(outstandingCodAmount)}
+          icon={<Truck className="text-red-600" size={22} />}
+          bg="bg-red-50"
+          subtext={`${outstandingCod.rows.length} orders, all time`}
+          loading={!outstandingCod.loaded}
+        />
+      </div>
+
+      {/* Breakdown by method */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-100 bg-slate-50/50">
+          <h3 className="font-semibold text-slate-900 flex items-center gap-2"><IndianRupee size={18} className="text-slate-400" /> By Payment Method</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm whitespace-nowrap">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4">Method</th>
+                <th className="px-6 py-4 text-right">Orders</th>
+                <th className="px-6 py-4 text-right">Total</th>
+                {ORDER_STATUSES.map(status => <th key={status} className="px-6 py-4 text-right capitalize">{status}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {breakdownLoading ? (
+                <tr><td colSpan={3 + ORDER_STATUSES.length} className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : methodKeys.length === 0 ? (
+                <tr><td colSpan={3 + ORDER_STATUSES.length} className="p-12 text-center text-slate-400">No orders in this period.</td></tr>
+              ) : (
+                methodKeys.map(key => (
+                  <tr key={key} className="hover:bg-slate-50 transition-colors">
+                    <td className="px-6 py-4 font-medium text-slate-900">{getPaymentMethodLabel(key)}</td>
+                    <td className="px-6 py-4 text-right text-slate-600">{methods[key].count}</td>
+                    <td className="px-6 py-4 text-right font-bold text-slate-900">{formatMoney(methods[key].amount)}</td>
+                    {ORDER_STATUSES.map(status => {
+                      const cell = methods[key].byStatus[status];
+                      return (
+                        <td key={status} className={`px-6 py-4 text-right ${status === 'cancelled' ? 'text-slate-400' : 'text-slate-600'}`}>
+                          {cell ? (
+                            <>
+                              <div>{formatMoney(cell.amount)}</div>
+                              <div className="text-xs text-slate-400">{cell.count} orders</div>
+                            </>
+                          ) : '—'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Outstanding COD (oldest first, whatever the selected range) */}
+      {outstandingCod.rows.length > 0 && (
+        <div className="bg-white border border-red-100 rounded-xl shadow-sm overflow-hidden">
+          <div className="px-6 py-4 border-b border-red-100 bg-red-50/50 flex items-center justify-between">
+            <h3 className="font-semibold text-slate-900 flex items-center gap-2"><Truck size={18} className="text-red-500" /> COD Not Yet Collected</h3>
+            <span className="text-xs text-slate-500">Oldest {Math.min(OUTSTANDING_PREVIEW, outstandingCod.rows.length)} of {outstandingCod.rows.length}</span>
+          </div>
+          <div className="divide-y divide-slate-100">
+            {outstandingCod.rows.slice(0, OUTSTANDING_PREVIEW).map(order => (
+              <div key={order.id} className="px-6 py-3 flex items-center justify-between text-sm hover:bg-slate-50">
+                <div>
+                  <span className="font-mono font-bold text-slate-700 mr-3">#{order.order_number}</span>
+                  <span className="text-slate-900">{order.customer_name}</span>
+                  <span className="text-xs text-slate-400 ml-3">{new Date(order.created_at).toLocaleDateString()} · <span className="capitalize">{order.status}</span></span>
+                </div>
+                <div className="flex items-center gap-4">
+                  <span className="font-medium text-slate-900">{formatMoney(order.total_amount || 0)}</span>
+                  <button onClick={() => openPaymentModal({ ...order, payment_method: 'cod' }, 'received')} className="text-xs font-medium text-blue-600 hover:underline">Mark Received</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Reconciliation */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-100 bg-slate-50/50 flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <h3 className="font-semibold text-slate-900">Reconciliation</h3>
+          <div className="flex gap-3">
+            <select
+              value={filters.method}
+              onChange={(e) => updateFilter('method', e.target.value)}
+              className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500/20 outline-none"
+            >
+              <option value="">All Methods</option>
+              {Object.entries(PAYMENT_METHODS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <select
+              value={filters.paymentStatus}
+              onChange={(e) => updateFilter('paymentStatus', e.target.value)}
+              className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg bg-white capitalize focus:ring-2 focus:ring-indigo-500/20 outline-none"
+            >
+              <option value="">All Payment States</option>
+              {PAYMENT_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4">Order</th>
+                <th className="px-6 py-4">Customer</th>
+                <th className="px-6 py-4">Method</th>
+                <th className="px-6 py-4 text-right">Amount</th>
+                <th className="px-6 py-4">Payment</th>
+                <th className="px-6 py-4 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {ordersLoading ? (
+                <tr><td colSpan="6" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : orders.rows.length === 0 ? (
+                <tr><td colSpan="6" className="p-12 text-center text-slate-400">No orders match these filters.</td></tr>
+              ) : (
+                orders.rows.map(order => {
+                  const paymentStatus = order.payment_status || 'pending';
+                  return (
+                    <tr key={order.id} className="hover:bg-slate-50 transition-colors">
+                      <td className="px-6 py-4">
+                        <div className="font-mono font-bold text-slate-700">#{order.order_number}</div>
+                        <div className="text-xs text-slate-400">{new Date(order.created_at).toLocaleDateString()} · <span className="capitalize">{order.status}</span></div>
+                      </td>
+                      <td className="px-6 py-4 text-slate-900">{order.customer_name}</td>
+                      <td className="px-6 py-4 text-slate-600">{getPaymentMethodLabel(order.payment_method)}</td>
+                      <td className="px-6 py-4 text-right font-medium text-slate-900">{formatMoney(order.total_amount || 0)}</td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${getPaymentStatusColor(paymentStatus)}`}>{paymentStatus}</span>
+                        {order.payment_reference && <div className="text-xs text-slate-400 font-mono mt-1">{order.payment_reference}</div>}
+                      </td>
+                      <td className="px-6 py-4 text-right whitespace-nowrap">
+                        {order.status === 'cancelled' ? (
+                          <span className="text-xs text-slate-400">Cancelled</span>
+                        ) : paymentStatus === 'pending' ? (
+                          <button onClick={() => openPaymentModal(order, 'received')} className="text-xs font-medium text-blue-600 hover:underline">Mark Received</button>
+                        ) : paymentStatus === 'received' ? (
+                          <button onClick={() => openPaymentModal(order, 'reconciled')} className="text-xs font-medium text-emerald-600 hover:underline">Reconcile</button>
+                        ) : (
+                          <button onClick={() => openPaymentModal(order, 'reconciled')} className="text-xs font-medium text-slate-500 hover:underline">Edit</button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex items-center justify-between text-sm text-slate-500">
+          <span>
+            {orders.total === 0 ? 'No orders' : `Showing ${(filters.page - 1) * PAGE_SIZE + 1}–${Math.min(filters.page * PAGE_SIZE, orders.total)} of ${orders.total}`}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => updateFilter('page', filters.page - 1)}
+              disabled={ordersLoading || filters.page <= 1}
+              className="p-2 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <span className="font-medium text-slate-700">Page {filters.page} of {totalPages}</span>
+            <button
+              onClick={() => updateFilter('page', filters.page + 1)}
+              disabled={ordersLoading || filters.page >= totalPages}
+              className="p-2 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SummaryCard({ title, value, icon, bg, subtext, loading }) {
+  return (
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex items-start justify-between">
+      <div>
+        <p className="text-sm font-medium text-slate-500 mb-1">{title}</p>
+        {loading ? (
+          <Loader2 className="animate-spin text-slate-300 mt-1" size={24} />
+        ) : (
+          <h3 className="text-2xl font-bold text-slate-900 tracking-tight">{value}</h3>
+        )}
+        {subtext && !loading && <p className="text-xs text-slate-400 mt-1">{subtext}</p>}
+      </div>
+      <div className={`p-3 rounded-lg ${bg}`}>
+        {icon}
+      </div>
+    </div>
+  );
+}
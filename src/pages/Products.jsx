@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
 import {
@@ -6,6 +6,13 @@ import {
   Edit2,
   ChevronDown,
   ChevronUp,
+  ChevronLeft,
+  ChevronRight,
+  CheckSquare,
+  Square,
+  Layers,
+  Loader2,
+  FileSpreadsheet,
   Package,
   Filter,
   Eye,
@@ -21,71 +28,89 @@ import {
   AlertCircle
 } from 'lucide-react';
 import { toast, Toaster } from 'sonner';
-import { logAction } from '../lib/logger';
+import { logAction, diffSnapshots } from '../lib/logger';
+import { useAuth } from '../context/AuthContext';
+import { useConfirm } from '../context/ConfirmContext';
+import { PRODUCT_SORTS, PRODUCTS_PAGE_SIZE, BULK_ACTIONS, BULK_SELECT_LIMIT, fetchProductsPage, fetchMatchingProducts, applyBulkEdit } from '../lib/products';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const EMPTY_FILTERS = { category: '', fabric: '', design: '', tag: '', status: '' };
+const EMPTY_BULK_EDIT = { action: '', value: '', mode: 'percent', amount: '' };
+
+// Bulk actions that pick a value from one of the lookup lists in `options`
+const BULK_OPTION_LISTS = { category: 'categories', fabric: 'fabrics', design: 'designs', add_tag: 'tags', remove_tag: 'tags' };
 
 export default function Products() {
   const navigate = useNavigate();
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { can } = useAuth();
+  const confirmAction = useConfirm();
+  const [products, setProducts] = useState({ key: null, rows: [], total: 0 });
   const [expandedProductId, setExpandedProductId] = useState(null);
 
-  // Filter & Search State
+  // Filter & Search State (filters hold ids; everything is applied by the server)
   const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState(''); // searchTerm once typing pauses
   const [showFilters, setShowFilters] = useState(false);
-  const [filters, setFilters] = useState({
-    category: '',
-    fabric: '',
-    design: '',
-    tag: '', // New Filter
-    status: '' // New Filter: 'active', 'archived', 'on_sale'
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // status: 'active', 'archived', 'on_sale'
   const [sortConfig, setSortConfig] = useState('newest');
-
-  // Fetch Data
+  const [page, setPage] = useState(1);
+  const [options, setOptions] = useState({ categories: [], fabrics: [], designs: [], tags: [] });
+  const [version, setVersion] = useState(0); // Bumped after a bulk edit to reload the page
+
+  // Bulk Edit State (kept across pages, dropped when the search or filters change)
+  const [selection, setSelection] = useState({ key: null, byId: {} });
+  const [bulkEdit, setBulkEdit] = useState(EMPTY_BULK_EDIT);
+  const [applying, setApplying] = useState(false);
+  const [selectingAll, setSelectingAll] = useState(false);
+
+  const queryKey = JSON.stringify({ search, ...filters, sort: sortConfig, page });
+  const loading = products.key !== queryKey;
+  const totalPages = Math.max(1, Math.ceil(products.total / PRODUCTS_PAGE_SIZE));
+  const filterKey = JSON.stringify({ search, ...filters });
+  const selectedById = selection.key === filterKey ? selection.byId : {};
+  const selectedProducts = Object.values(selectedById);
+  const pageSelected = products.rows.length > 0 && products.rows.every(p => selectedById[p.id]);
+
+  // Filter options come from the lookup tables, not from the loaded page
   useEffect(() => {
-    fetchProducts();
+    Promise.all([
+      supabase.from('categories').select('id, name').order('name'),
+      supabase.from('fabrics').select('id, name').order('name'),
+      supabase.from('designs').select('id, name').order('name'),
+      supabase.from('tags').select('id, name').order('name')
+    ]).then(([categories, fabrics, designs, tags]) => setOptions({
+      categories: categories.data || [],
+      fabrics: fabrics.data || [],
+      designs: designs.data || [],
+      tags: tags.data || []
+    }));
   }, []);
 
-  const fetchProducts = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('products')
-        .select(`
-          *,
-          category:categories(name),
-          fabric:fabrics(name),
-          design:designs(name),
-          costs:product_costs(cost_price),
-          product_tags(
-            tag:tags(name)
-          ),
-          variants:product_variants(
-            id,
-            color_id,
-            stock_quantity,
-            size:sizes(name),
-            color:colors(name, hex_code)
-          ),
-          images:product_images(image_url, is_primary, color_id)
-        `)
-        .order('created_at', { ascending: false });
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchTerm.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-      if (error) throw error;
+  // Fetch Data
+  useEffect(() => {
+    let ignore = false;
 
-      // Flatten tags for easier usage
-      const cleanedData = (data || []).map(p => ({
-        ...p,
-        tagsList: p.product_tags?.map(pt => pt.tag?.name).filter(Boolean) || [],
-        cost_price: p.costs?.[0]?.cost_price || 0 // Handle array return from join
-      }));
+    fetchProductsPage({ ...JSON.parse(queryKey) })
+      .then(({ rows, total }) => { if (!ignore) setProducts({ key: queryKey, rows, total }); })
+      .catch(error => {
+        toast.error('Error loading products');
+        console.error(error);
+        if (!ignore) setProducts({ key: queryKey, rows: [], total: 0 });
+      });
 
-      setProducts(cleanedData);
-    } catch (error) {
-      toast.error('Error loading products');
-      console.error(error);
-    } finally {
-      setLoading(false);
-    }
+    return () => { ignore = true; };
+  }, [queryKey, version]);
+
+  const updateProductRow = (id, update) => {
+    setProducts(prev => ({ ...prev, rows: prev.rows.map(p => p.id === id ? update(p) : p) }));
   };
 
   // Helper: Get Total Stock
@@ -106,75 +131,116 @@ export default function Products() {
     try {
       const { error } = await supabase.from('products').update({ is_active: !currentStatus }).eq('id', id);
       if (error) throw error;
-      setProducts(prev => prev.map(p => p.id === id ? { ...p, is_active: !currentStatus } : p));
-      await logAction('UPDATE', 'Product', `Toggled product visibility (Active: ${!currentStatus})`, { id });
+      updateProductRow(id, p => ({ ...p, is_active: !currentStatus }));
+      await logAction('UPDATE', 'Product', `Toggled product visibility (Active: ${!currentStatus})`, {
+        productId: id,
+        ...diffSnapshots({ is_active: currentStatus }, { is_active: !currentStatus })
+      });
       toast.success(currentStatus ? 'Product hidden' : 'Product published');
     } catch (error) { toast.error('Could not update status'); }
   };
 
   // Helper: Archive
   const handleArchive = async (id, name) => {
-    if (!window.confirm(`Archive "${name}"? Stock will be reset to 0.`)) return;
+    const confirmed = await confirmAction({
+      title: 'Archive Product',
+      message: `Archive "${name}"? Stock will be reset to 0.`,
+      confirmLabel: 'Archive',
+      danger: true,
+      stepUp: true,
+      action: `Archive product: ${name}`
+    });
+    if (!confirmed) return;
     try {
       await supabase.from('products').update({ is_active: false }).eq('id', id);
       await supabase.from('product_variants').update({ stock_quantity: 0 }).eq('product_id', id);
-      await logAction('ARCHIVE', 'Product', `Archived product: ${name}`, { id });
-      setProducts(prev => prev.map(p => p.id === id ? { ...p, is_active: false, variants: p.variants.map(v => ({ ...v, stock_quantity: 0 })) } : p));
+      await logAction('ARCHIVE', 'Product', `Archived product: ${name}`, { productId: id });
+      updateProductRow(id, p => ({ ...p, is_active: false, variants: p.variants.map(v => ({ ...v, stock_quantity: 0 })) }));
       toast.success("Archived");
     } catch (error) { toast.error("Error archiving"); }
   };
 
-  // --- DERIVED DATA & FILTER LOGIC ---
-  const options = useMemo(() => {
-    const getOptions = (key, nestedKey) => [...new Set(products.map(p => nestedKey ? p[key]?.[nestedKey] : p[key]).filter(Boolean))].sort();
-    const allTags = [...new Set(products.flatMap(p => p.tagsList))].sort();
-
-    return {
-        categories: getOptions('category', 'name'),
-        fabrics: getOptions('fabric', 'name'),
-        designs: getOptions('design', 'name'),
-        tags: allTags
-    };
-  }, [products]);
-
-  const processedProducts = useMemo(() => {
-    let result = products.filter(p => {
-      // Search
-      const matchesSearch = p.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                            p.category?.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                            p.tagsList.some(t => t.toLowerCase().includes(searchTerm.toLowerCase()));
-
-      // Filters
-      const matchesCategory = !filters.category || p.category?.name === filters.category;
-      const matchesFabric = !filters.fabric || (p.fabric?.name || p.fabric) === filters.fabric;
-      const matchesDesign = !filters.design || (p.design?.name || p.design) === filters.design;
-      const matchesTag = !filters.tag || p.tagsList.includes(filters.tag);
-
-      let matchesStatus = true;
-      if (filters.status === 'active') matchesStatus = p.is_active;
-      if (filters.status === 'archived') matchesStatus = !p.is_active;
-      if (filters.status === 'on_sale') matchesStatus = p.is_on_sale;
-
-      return matchesSearch && matchesCategory && matchesFabric && matchesDesign && matchesTag && matchesStatus;
-    });
+  // Any filter or sort change starts again from the first page
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const updateSort = (value) => {
+    setSortConfig(value);
+    setPage(1);
+  };
+
+  // --- Selection & Bulk Edit ---
+  const selectProducts = (rows, selected) => {
+    const byId = { ...selectedById };
+    rows.forEach(p => { if (selected) byId[p.id] = p; else delete byId[p.id]; });
+    if (Object.keys(byId).length > BULK_SELECT_LIMIT) return toast.error(`Bulk edits are limited to ${BULK_SELECT_LIMIT} products`);
+    setSelection({ key: filterKey, byId });
+  };
+
+  const toggleSelectProduct = (product) => selectProducts([product], !selectedById[product.id]);
+
+  const toggleSelectAll = () => selectProducts(products.rows, !pageSelected);
+
+  const selectAllMatching = async () => {
+    setSelectingAll(true);
+    try {
+      const rows = await fetchMatchingProducts({ search, ...filters });
+      setSelection({ key: filterKey, byId: Object.fromEntries(rows.map(p => [p.id, p])) });
+    } catch (error) {
+      console.error(error);
+      toast.error('Could not select all matching products');
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  const clearSelection = () => {
+    setSelection({ key: null, byId: {} });
+    setBulkEdit(EMPTY_BULK_EDIT);
+  };
+
+  const handleBulkApply = async () => {
+    const { action, value, mode, amount } = bulkEdit;
+    const optionList = BULK_OPTION_LISTS[action];
+    const needsAmount = action === 'price' || action === 'cost';
+    const parsedAmount = parseFloat(amount);
 
-    // Sort
-    result.sort((a, b) => {
-        switch (sortConfig) {
-            case 'price_asc': return (a.is_on_sale ? a.sale_price : a.price) - (b.is_on_sale ? b.sale_price : b.price);
-            case 'price_desc': return (b.is_on_sale ? b.sale_price : b.price) - (a.is_on_sale ? a.sale_price : a.price);
-            case 'stock_asc': return getTotalStock(a) - getTotalStock(b);
-            case 'stock_desc': return getTotalStock(b) - getTotalStock(a);
-            case 'newest': default: return new Date(b.created_at) - new Date(a.created_at);
-        }
+    if (!action) return toast.error('Choose a bulk action');
+    if (optionList && !value) return toast.error('Choose a value to apply');
+    if (needsAmount && (Number.isNaN(parsedAmount) || (action === 'cost' ? parsedAmount < 0 : parsedAmount === 0))) {
+      return toast.error('Enter a valid amount');
+    }
+
+    const label = optionList ? options[optionList].find(o => String(o.id) === value)?.name : undefined;
+    const count = selectedProducts.length;
+    const confirmed = await confirmAction({
+      title: 'Bulk Edit',
+      message: `${BULK_ACTIONS.find(a => a.value === action).label}${label ? ` to "${label}"` : ''} for ${count} selected products?`,
+      confirmLabel: `Update ${count} Products`
     });
-    return result;
-  }, [products, searchTerm, filters, sortConfig]);
+    if (!confirmed) return;
+
+    setApplying(true);
+    try {
+      const summary = await applyBulkEdit(selectedProducts, { action, value, label, mode, amount: parsedAmount });
+      toast.success(`${summary} on ${count} products`);
+      clearSelection();
+      setVersion(v => v + 1);
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message || 'Bulk edit failed');
+    } finally {
+      setApplying(false);
+    }
+  };
 
   const clearFilters = () => {
-    setFilters({ category: '', fabric: '', design: '', tag: '', status: '' });
+    setFilters(EMPTY_FILTERS);
     setSearchTerm('');
     setSortConfig('newest');
+    setPage(1);
   };
 
   return (
@@ -192,7 +258,7 @@ export default function Products() {
             <div className="flex flex-wrap items-center gap-3">
                 <div className="relative grow md:grow-0">
                     <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
-                    <input type="text" placeholder="Search products, tags..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="pl-10 pr-4 py-2 bg-white border border-slate-200 rounded-lg text-sm w-full md:w-64" />
+                    <input type="text" placeholder="Search name or SKU..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="pl-10 pr-4 py-2 bg-white border border-slate-200 rounded-lg text-sm w-full md:w-64" />
                 </div>
 
                 <button onClick={() => setShowFilters(!showFilters)} className={`flex items-center gap-2 px-4 py-2 rounded-lg border text-sm font-medium transition-colors ${showFilters || Object.values(filters).some(Boolean) ? 'bg-indigo-50 border-indigo-200 text-indigo-700' : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'}`}>
@@ -200,13 +266,14 @@ export default function Products() {
                 </button>
 
                 <div className="relative">
-                    <select value={sortConfig} onChange={(e) => setSortConfig(e.target.value)} className="pl-3 pr-8 py-2 bg-white border border-slate-200 rounded-lg text-sm text-slate-600 appearance-none cursor-pointer hover:bg-slate-50">
-                        <option value="newest">Newest First</option>
-                        <option value="price_asc">Price: Low to High</option>
-                        <option value="price_desc">Price: High to Low</option>
-                        <option value="stock_desc">Stock: High to Low</option>
+                    <select value={sortConfig} onChange={(e) => updateSort(e.target.value)} className="pl-3 pr-8 py-2 bg-white border border-slate-200 rounded-lg text-sm text-slate-600 appearance-none cursor-pointer hover:bg-slate-50">
+                        {PRODUCT_SORTS.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
                     </select>
                 </div>
+
+                <button onClick={() => navigate('/products/import')} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-200 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-50">
+                    <FileSpreadsheet size={18} /> Import
+                </button>
             </div>
         </div>
 
@@ -221,15 +288,15 @@ export default function Products() {
                     {/* Category */}
                     <div>
                         <label className="text-xs font-medium text-slate-500 block mb-1">Category</label>
-                        <select value={filters.category} onChange={(e) => setFilters({...filters, category: e.target.value})} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
+                        <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
                             <option value="">All</option>
-                            {options.categories.map(c => <option key={c} value={c}>{c}</option>)}
+                            {options.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
                         </select>
                     </div>
                     {/* Status */}
                     <div>
                         <label className="text-xs font-medium text-slate-500 block mb-1">Status</label>
-                        <select value={filters.status} onChange={(e) => setFilters({...filters, status: e.target.value})} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
+                        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
                             <option value="">All Statuses</option>
                             <option value="active">Active</option>
                             <option value="on_sale">On Sale</option>
@@ -239,17 +306,25 @@ export default function Products() {
                     {/* Tags */}
                     <div>
                         <label className="text-xs font-medium text-slate-500 block mb-1">Tags</label>
-                        <select value={filters.tag} onChange={(e) => setFilters({...filters, tag: e.target.value})} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
+                        <select value={filters.tag} onChange={(e) => updateFilter('tag', e.target.value)} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
                             <option value="">All Tags</option>
-                            {options.tags.map(t => <option key={t} value={t}>{t}</option>)}
+                            {options.tags.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
                         </select>
                     </div>
                      {/* Fabric */}
                      <div>
                         <label className="text-xs font-medium text-slate-500 block mb-1">Fabric</label>
-                        <select value={filters.fabric} onChange={(e) => setFilters({...filters, fabric: e.target.value})} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
+                        <select value={filters.fabric} onChange={(e) => updateFilter('fabric', e.target.value)} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
                             <option value="">All</option>
-                            {options.fabrics.map(f => <option key={f} value={f}>{f}</option>)}
+                            {options.fabrics.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                        </select>
+                    </div>
+                     {/* Design */}
+                     <div>
+                        <label className="text-xs font-medium text-slate-500 block mb-1">Design</label>
+                        <select value={filters.design} onChange={(e) => updateFilter('design', e.target.value)} className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg text-sm">
+                            <option value="">All</option>
+                            {options.designs.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
                         </select>
                     </div>
                 </div>
@@ -257,12 +332,81 @@ export default function Products() {
         )}
       </div>
 
+      {/* Bulk Action Bar */}
+      {selectedProducts.length > 0 && (
+        <div className="bg-slate-900 text-white rounded-xl p-3 pl-5 shadow-md flex flex-wrap items-center gap-3 animate-in fade-in slide-in-from-bottom-2">
+          <span className="text-sm font-medium flex items-center gap-2"><Layers size={16} /> {selectedProducts.length} selected</span>
+          {selectedProducts.length < products.total && products.total <= BULK_SELECT_LIMIT && (
+            <button onClick={selectAllMatching} disabled={selectingAll} className="flex items-center gap-1.5 text-sm text-indigo-300 hover:text-white disabled:opacity-50">
+              {selectingAll && <Loader2 size={14} className="animate-spin" />} Select all {products.total} matching
+            </button>
+          )}
+          <div className="h-6 w-px bg-slate-700 hidden md:block" />
+
+          <select value={bulkEdit.action} onChange={(e) => setBulkEdit({ ...EMPTY_BULK_EDIT, action: e.target.value })} className="px-3 py-1.5 text-sm bg-slate-800 border border-slate-700 rounded-lg outline-none">
+            <option value="">Choose action...</option>
+            {BULK_ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+          </select>
+
+          {BULK_OPTION_LISTS[bulkEdit.action] && (
+            <select value={bulkEdit.value} onChange={(e) => setBulkEdit({ ...bulkEdit, value: e.target.value })} className="px-3 py-1.5 text-sm bg-slate-800 border border-slate-700 rounded-lg outline-none">
+              <option value="">Select...</option>
+              {options[BULK_OPTION_LISTS[bulkEdit.action]].map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select>
+          )}
+
+          {bulkEdit.action === 'price' && (
+            <div className="flex bg-slate-800 rounded-lg p-1">
+              {[{ value: 'percent', label: '%' }, { value: 'fixed', label: '₹' }].map(m => (
+                <button
+                  key={m.value}
+                  onClick={() => setBulkEdit({ ...bulkEdit, mode: m.value })}
+                  className={`px-3 py-0.5 text-xs font-medium rounded-md transition-colors ${bulkEdit.mode === m.value ? 'bg-white text-slate-900' : 'text-slate-400 hover:text-white'}`}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {(bulkEdit.action === 'price' || bulkEdit.action === 'cost') && (
+            <input
+              type="number"
+              step="0.01"
+              value={bulkEdit.amount}
+              onChange={(e) => setBulkEdit({ ...bulkEdit, amount: e.target.value })}
+              placeholder={bulkEdit.action === 'cost' ? 'Cost price (₹)' : bulkEdit.mode === 'percent' ? 'e.g. 10 or -5' : 'e.g. 100 or -50'}
+              className="w-36 px-3 py-1.5 text-sm bg-slate-800 border border-slate-700 rounded-lg outline-none placeholder:text-slate-500"
+            />
+          )}
+
+          <div className="flex items-center gap-2 ml-auto">
+            <button onClick={clearSelection} className="px-3 py-1.5 text-sm text-slate-300 hover:text-white">Cancel</button>
+            <button
+              onClick={handleBulkApply}
+              disabled={applying || !bulkEdit.action}
+              className="flex items-center gap-2 px-4 py-1.5 bg-white text-slate-900 text-sm font-medium rounded-lg hover:bg-slate-100 disabled:opacity-50"
+            >
+              {applying && <Loader2 size={14} className="animate-spin" />} Apply
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Table */}
       <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
         <div className="overflow-x-auto">
           <table className="w-full text-left text-sm">
             <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
               <tr>
+                <th className="px-6 py-4 w-12">
+                  <button onClick={toggleSelectAll} disabled={loading || products.rows.length === 0} className="flex items-center justify-center text-slate-400 hover:text-slate-600">
+                    {pageSelected
+                      ? <CheckSquare size={18} className="text-indigo-600" />
+                      : <Square size={18} />
+                    }
+                  </button>
+                </th>
                 <th className="px-6 py-4">Product</th>
                 <th className="px-6 py-4">Pricing</th>
                 <th className="px-6 py-4">Category / Tags</th>
@@ -273,13 +417,23 @@ export default function Products() {
             </thead>
             <tbody className="divide-y divide-slate-100">
               {loading ? (
-                <tr><td colSpan="6" className="p-8 text-center text-slate-500">Loading...</td></tr>
-              ) : processedProducts.length === 0 ? (
-                <tr><td colSpan="6" className="p-12 text-center text-slate-500">No products found.</td></tr>
+                <tr><td colSpan="7" className="p-8 text-center text-slate-500">Loading...</td></tr>
+              ) : products.rows.length === 0 ? (
+                <tr><td colSpan="7" className="p-12 text-center text-slate-500">No products found.</td></tr>
               ) : (
-                processedProducts.map((product) => (
+                products.rows.map((product) => (
                   <React.Fragment key={product.id}>
-                    <tr className={`hover:bg-slate-50/50 transition-colors ${!product.is_active ? 'opacity-60 bg-slate-50' : ''}`}>
+                    <tr className={`hover:bg-slate-50/50 transition-colors ${!product.is_active ? 'opacity-60 bg-slate-50' : ''} ${selectedById[product.id] ? 'bg-indigo-50/30' : ''}`}>
+
+                      {/* Row Selection */}
+                      <td className="px-6 py-4">
+                        <button onClick={() => toggleSelectProduct(product)} className="flex items-center justify-center text-slate-400 hover:text-indigo-600">
+                          {selectedById[product.id]
+                            ? <CheckSquare size={18} className="text-indigo-600" />
+                            : <Square size={18} />
+                          }
+                        </button>
+                      </td>
 
                       {/* 1. Product Name & Image */}
                       <td className="px-6 py-4">
@@ -343,7 +497,7 @@ export default function Products() {
                       <td className="px-6 py-4 text-right">
                         <div className="flex items-center justify-end gap-2">
                           <button onClick={() => navigate(`/edit-product/${product.id}`)} className="p-2 hover:bg-indigo-50 text-slate-400 hover:text-indigo-600 rounded-lg"><Edit2 size={18} /></button>
-                          <button onClick={() => handleArchive(product.id, product.name)} className="p-2 hover:bg-red-50 text-slate-400 hover:text-red-600 rounded-lg"><Archive size={18} /></button>
+                          {can('products.archive') && <button onClick={() => handleArchive(product.id, product.name)} className="p-2 hover:bg-red-50 text-slate-400 hover:text-red-600 rounded-lg"><Archive size={18} /></button>}
                         </div>
                       </td>
                     </tr>
@@ -351,7 +505,7 @@ export default function Products() {
                     {/* --- EXPANDED DETAILS PANEL --- */}
                     {expandedProductId === product.id && (
                       <tr className="bg-slate-50/50">
-                        <td colSpan="6" className="p-0 border-b border-slate-100 shadow-inner">
+                        <td colSpan="7" className="p-0 border-b border-slate-100 shadow-inner">
                           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 p-6">
 
                             {/* COL 1: STOCK MATRIX */}
@@ -437,6 +591,30 @@ export default function Products() {
             </tbody>
           </table>
         </div>
+
+        {/* Pagination */}
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex items-center justify-between text-sm text-slate-500">
+          <span>
+            {products.total === 0 ? 'No products' : `Showing ${(page - 1) * PRODUCTS_PAGE_SIZE + 1}–${Math.min(page * PRODUCTS_PAGE_SIZE, products.total)} of ${products.total}`}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={loading || page <= 1}
+              className="p-2 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <span className="font-medium text-slate-700">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={loading || page >= totalPages}
+              className="p-2 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
       </div>
     </div>
   );
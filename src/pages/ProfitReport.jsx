@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { toast, Toaster } from 'sonner';
+import {
+  PiggyBank,
+  IndianRupee,
+  Receipt,
+  TrendingUp,
+  Percent,
+  AlertTriangle,
+  Loader2,
+  X
+} from 'lucide-react';
+import { getDateRange, fetchProfitReport, summarizeProfit, withProfit } from '../lib/analytics';
+import DateRangePicker from '../components/reports/DateRangePicker';
+
+const GROUP_OPTIONS = [
+  { value: 'product', label: 'Product' },
+  { value: 'category', label: 'Category' },
+  { value: 'fabric', label: 'Fabric' },
+  { value: 'design', label: 'Design' }
+];
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+// Product rows rolled up into one row per category / fabric / design
+const groupRows = (rows, groupBy) => {
+  if (groupBy === 'product') {
+    return rows.map(row => withProfit({ ...row, key: row.product_id, label: row.product_name }));
+  }
+
+  const groups = {};
+  rows.forEach(row => {
+    const label = row[`${groupBy}_name`] || 'Unassigned';
+    (groups[label] = groups[label] || []).push(row);
+  });
+  return Object.entries(groups).map(([label, groupRows]) => ({ key: label, label, ...summarizeProfit(groupRows) }));
+};
+
+export default function ProfitReport() {
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '' });
+  const [filters, setFilters] = useState({ category: '', fabric: '', design: '' });
+  const [groupBy, setGroupBy] = useState('product');
+  const [options, setOptions] = useState({ categories: [], fabrics: [], designs: [] });
+  const [report, setReport] = useState({ key: null, rows: [] });
+
+  const dateRange = getDateRange(range);
+  const reportKey = JSON.stringify({ start: dateRange.start, end: dateRange.end, ...filters });
+  const loading = report.key !== reportKey;
+
+  useEffect(() => {
+    Promise.all([
+      supabase.from('categories').select('id, name').order('name'),
+      supabase.from('fabrics').select('id, name').order('name'),
+      supabase.from('designs').select('id, name').order('name')
+    ]).then(([cats, fabs, des]) => {
+      setOptions({ categories: cats.data || [], fabrics: fabs.data || [], designs: des.data || [] });
+    });
+  }, []);
+
+  useEffect(() => {
+    let ignore = false;
+    const { start, end, ...selected } = JSON.parse(reportKey);
+
+    fetchProfitReport({ start: new Date(start), end: new Date(end) }, selected)
+      .then(rows => { if (!ignore) setReport({ key: reportKey, rows }); })
+      .catch(error => {
+        console.error(error);
+        toast.error('Could not load profit report');
+        if (!ignore) setReport({ key: reportKey, rows: [] });
+      });
+
+    return () => { ignore = true; };
+  }, [reportKey]);
+
+  const totals = summarizeProfit(report.rows);
+  const rows = groupRows(report.rows, groupBy).sort((a, b) => b.revenue - a.revenue);
+  const uncostedProducts = report.rows.filter(row => row.uncosted_units > 0);
+  const uncostedRevenue = totals.revenue - totals.costed_revenue;
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="max-w-7xl mx-auto pb-20 pt-6 px-6 space-y-6">
+      <Toaster position="top-right" richColors />
+
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <PiggyBank className="text-slate-400" /> Profit Report
+        </h1>
+        <p className="text-slate-500">Revenue, cost of goods and gross margin from recorded cost prices. Cancelled orders are excluded.</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-4 flex flex-wrap items-center gap-3">
+        <DateRangePicker value={range} onChange={setRange} />
+
+        <div className="h-6 w-px bg-slate-200 hidden md:block" />
+
+        {[
+          { key: 'category', label: 'All Categories', items: options.categories },
+          { key: 'fabric', label: 'All Fabrics', items: options.fabrics },
+          { key: 'design', label: 'All Designs', items: options.designs }
+        ].map(select => (
+          <select
+            key={select.key}
+            value={filters[select.key]}
+            onChange={e => setFilters({ ...filters, [select.key]: e.target.value })}
+            className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500/20 outline-none"
+          >
+            <option value="">{select.label}</option>
+            {select.items.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+          </select>
+        ))}
+        {hasFilters && (
+          <button
+            onClick={() => setFilters({ category: '', fabric: '', design: '' })}
+            className="flex items-center gap-1 text-xs font-medium text-slate-500 hover:text-slate-900"
+          >
+            <X size={14} /> Clear
+          </button>
+        )}
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <SummaryCard title="Revenue" value={formatMoney(totals.revenue)} icon={<IndianRupee className="text-emerald-600" size={22} />} bg="bg-emerald-50" subtext={`${totals.units_sold} units sold`} loading={loading} />
+        <SummaryCard title="Cost of Goods" value={formatMoney(totals.cost_of_goods)} icon={<Receipt className="text-slate-600" size={22} />} bg="bg-slate-100" loading={loading} />
+        <SummaryCard title="Gross Profit" value={formatMoney(totals.profit)} icon={<TrendingUp className="text-indigo-600" size={22} />} bg="bg-indigo-50" loading={loading} />
+        <SummaryCard title="Gross Margin" value={totals.margin === null ? '—' : `${totals.margin.toFixed(1)}%`} icon={<Percent className="text-purple-600" size={22} />} bg="bg-purple-50" loading={loading} />
+      </div>
+
+      {/* Missing cost prices */}
+      {!loading && uncostedProducts.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-800">
+          <div className="flex items-center gap-2 font-semibold mb-1">
+            <AlertTriangle size={16} /> {totals.uncosted_units} sold {totals.uncosted_units === 1 ? 'unit has' : 'units have'} no cost price
+          </div>
+          <p className="mb-2">
+            {formatMoney(uncostedRevenue)} of revenue is left out of profit and margin until a cost price is added for:
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {uncostedProducts.map(row => (
+              <Link key={row.product_id} to={`/edit-product/${row.product_id}`} className="px-2 py-1 bg-white border border-amber-200 rounded-md text-xs font-medium hover:border-amber-400">
+                {row.product_name} <span className="text-amber-600">({row.uncosted_units})</span>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Breakdown */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-100 bg-slate-50/50 flex items-center justify-between">
+          <h3 className="font-semibold text-slate-900">Breakdown</h3>
+          <div className="flex items-center gap-2 text-sm text-slate-500">
+            Group by
+            <select
+              value={groupBy}
+              onChange={e => setGroupBy(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500/20 outline-none"
+            >
+              {GROUP_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4">{GROUP_OPTIONS.find(o => o.value === groupBy).label}</th>
+                <th className="px-6 py-4 text-right">Units</th>
+                <th className="px-6 py-4 text-right">Revenue</th>
+                <th className="px-6 py-4 text-right">Cost of Goods</th>
+                <th className="px-6 py-4 text-right">Gross Profit</th>
+                <th className="px-6 py-4 text-right">Margin</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {loading ? (
+                <tr><td colSpan="6" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : rows.length === 0 ? (
+                <tr><td colSpan="6" className="p-12 text-center text-slate-400">No sales in this period.</td></tr>
+              ) : (
+                rows.map(row => (
+                  <tr key={row.key} className="hover:bg-slate-50 transition-colors">
+                    <td className="px-6 py-4">
+                      {groupBy === 'product' ? (
+                        <Link to={`/edit-product/${row.product_id}`} className="font-medium text-slate-900 hover:text-indigo-600">{row.label}</Link>
+                      ) : (
+                        <span className="font-medium text-slate-900">{row.label}</span>
+                      )}
+                      {row.uncosted_units > 0 && (
+                        <span className="ml-2 px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 text-[10px] font-bold uppercase tracking-wider">
+                          {row.uncosted_units === row.units_sold ? 'No cost' : `${row.uncosted_units} uncosted`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right text-slate-600">{row.units_sold}</td>
+                    <td className="px-6 py-4 text-right text-slate-900 font-medium">{formatMoney(row.revenue)}</td>
+                    <td className="px-6 py-4 text-right text-slate-600">{row.costed_revenue ? formatMoney(row.cost_of_goods) : '—'}</td>
+                    <td className={`px-6 py-4 text-right font-medium ${row.profit < 0 ? 'text-red-600' : 'text-slate-900'}`}>{row.costed_revenue ? formatMoney(row.profit) : '—'}</td>
+                    <td className="px-6 py-4 text-right">
+                      {row.margin === null ? (
+                        <span className="text-slate-400">—</span>
+                      ) : (
+                        <span className={`px-2 py-0.5 rounded text-xs font-bold ${row.margin > 50 ? 'bg-emerald-100 text-emerald-700' : row.margin < 0 ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}>
+                          {row.margin.toFixed(1)}%
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SummaryCard({ title, value, icon, bg, subtext, loading }) {
+  return (
+    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm flex items-start justify-between">
+      <div>
+        <p className="text-sm font-medium text-slate-500 mb-1">{title}</p>
+        {loading ? (
+          <Loader2 className="animate-spin text-slate-300 mt-1" size={24} />
+        ) : (
+          <h3 className="text-2xl font-bold text-slate-900 tracking-tight">{value}</h3>
+        )}
+        {subtext && !loading && <p className="text-xs text-slate-400 mt-1">{subtext}</p>}
+      </div>
+      <div className={`p-3 rounded-lg ${bg}`}>
+        {icon}
+      </div>
+    </div>
+  );
+}
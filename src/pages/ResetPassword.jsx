@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { Loader2, Lock, ArrowLeft, AlertTriangle, KeyRound, ShieldCheck } from 'lucide-react';
+import { logAction } from '../lib/logger';
+import { useAuth } from '../context/AuthContext';
+import { touchActivity, getRecoveryUser, clearRecoveryUser } from '../lib/session';
+import { getTotpFactor } from '../lib/mfa';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Supabase puts link errors (expired / already used) in the URL hash
+const getLinkError = () => {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  return params.get('error_description');
+};
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  // The recovery link signs the user in with a temporary session before this page renders. Only that session
+  // may set a password here, not any signed-in user who opens the page.
+  const { user, accessLoading, mfa, refreshAccess } = useAuth();
+  const isRecovery = !!user && getRecoveryUser() === user.id;
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [linkError] = useState(getLinkError);
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const formData = new FormData(e.currentTarget);
+    const password = formData.get('password');
+    const confirm = formData.get('confirm');
+
+    if (password.length < MIN_PASSWORD_LENGTH) return setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    if (password !== confirm) return setError('Passwords do not match.');
+
+    setLoading(true);
+
+    // Supabase only lets 2FA accounts change their password at aal2, and the recovery session starts at aal1
+    if (mfa.needsChallenge) {
+      const factor = await getTotpFactor().catch(() => null);
+      const { error: verifyError } = factor
+        ? await supabase.auth.mfa.challengeAndVerify({ factorId: factor.id, code: String(formData.get('code')).trim() })
+        : { error: new Error('No authenticator found for this account') };
+      if (verifyError) {
+        setError(verifyError.message);
+        setLoading(false);
+        return;
+      }
+      await refreshAccess();
+    }
+
+    const { error: updateError } = await supabase.auth.updateUser({ password });
+
+    if (updateError) {
+      setError(updateError.message);
+      setLoading(false);
+      return;
+    }
+
+    clearRecoveryUser();
+    touchActivity();
+    await logAction('PASSWORD_RESET', 'Auth', `Password reset completed: ${user.email}`, { email: user.email });
+    navigate('/');
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 p-6">
+      <div className="w-full max-w-md bg-white border border-slate-200 rounded-2xl shadow-xl overflow-hidden">
+
+        {/* Header Section */}
+        <div className="p-8 pb-0 text-center">
+          <img src="/logo.svg" alt="Company Logo" className="h-16 mx-auto mb-6 object-contain" />
+          <h1 className="text-2xl font-bold text-slate-900 mb-2">Choose a New Password</h1>
+          <p className="text-slate-500 text-sm">{isRecovery ? `Resetting password for ${user.email}` : 'Your reset link could not be verified.'}</p>
+        </div>
+
+        <div className="p-8 pt-6">
+          {isRecovery && accessLoading ? (
+            <Loader2 className="animate-spin mx-auto text-indigo-500" />
+          ) : !isRecovery ? (
+            <div className="space-y-5 text-center">
+              <div className="flex gap-3 p-4 bg-red-50 text-red-700 text-sm rounded-xl border border-red-100 text-left">
+                <AlertTriangle size={20} className="shrink-0" />
+                <p>{linkError || 'This password reset link is invalid or has expired.'} Request a new one from the sign in page.</p>
+              </div>
+              <Link to="/login" className="inline-flex items-center gap-2 text-sm font-medium text-indigo-600 hover:text-indigo-800">
+                <ArrowLeft size={16} /> Back to Sign In
+              </Link>
+            </div>
+          ) : (
+            <form onSubmit={handleReset} className="space-y-5">
+              {error && (
+                <div className="flex gap-3 p-3 bg-red-50 text-red-700 text-sm rounded-lg border border-red-100">
+                  <AlertTriangle size={18} className="shrink-0" /><p>{error}</p>
+                </div>
+              )}
+
+              {['password', 'confirm'].map(field => (
+                <div key={field} className="space-y-1.5">
+                  <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider ml-1">
+                    {field === 'password' ? 'New Password' : 'Confirm Password'}
+                  </label>
+                  <div className="relative group">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                    </div>
+                    <input
+                      name={field}
+                      type="password"
+                      required
+                      autoComplete="new-password"
+                      placeholder="••••••••"
+                      className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all sm:text-sm text-slate-900"
+                    />
+                  </div>
+                </div>
+              ))}
+
+              {mfa.needsChallenge && (
+                <div className="space-y-1.5">
+                  <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider ml-1">Authentication Code</label>
+                  <div className="relative group">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <ShieldCheck className="h-5 w-5 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
+                    </div>
+                    <input
+                      name="code"
+                      required
+                      autoComplete="one-time-code"
+                      inputMode="numeric"
+                      maxLength={6}
+                      placeholder="123456"
+                      className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl bg-slate-50 placeholder-slate-400 focus:outline-none focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all sm:text-sm text-slate-900 font-mono tracking-widest"
+                    />
+                  </div>
+                  <p className="text-xs text-slate-400 ml-1">This account has two-factor authentication. Enter the code from your authenticator app.</p>
+                </div>
+              )}
+
+              <button
+                disabled={loading}
+                className="w-full flex items-center justify-center gap-2 py-3 px-4 rounded-xl shadow-sm text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-70 disabled:cursor-not-allowed transition-all active:scale-[0.98]"
+              >
+                {loading ? <Loader2 className="animate-spin h-5 w-5" /> : <><KeyRound size={16} /> Update Password</>}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -14,7 +14,9 @@ import {
   Hash,
   DollarSign
 } from 'lucide-react';
-import { logAction } from '../lib/logger';
+import { logAction, diffSnapshots } from '../lib/logger';
+import { useAuth } from '../context/AuthContext';
+import { useConfirm } from '../context/ConfirmContext';
 
 export default function SalesManager() {
   const [activeTab, setActiveTab] = useState('bulk');
@@ -48,8 +50,16 @@ export default function SalesManager() {
   );
 }
 
+// Sale state of every product in a category, kept in the log so the sale change can be reverted
+const getCategorySaleState = async (categoryId) => {
+  const { data } = await supabase.from('products').select('id, is_on_sale, sale_price').eq('category_id', categoryId);
+  return data || [];
+};
+
 // --- SUB-COMPONENT 1: BULK SALES PANEL ---
 function BulkSalesPanel() {
+  const { can } = useAuth();
+  const confirmAction = useConfirm();
   const [loading, setLoading] = useState(false);
   const [categories, setCategories] = useState([]);
   const [selectedCat, setSelectedCat] = useState('');
@@ -100,12 +110,13 @@ function BulkSalesPanel() {
   };
 
   const stopCategorySale = async (catId) => {
-    if (!window.confirm("Stop the sale for this category? Prices will revert to normal.")) return;
+    if (!(await confirmAction({ title: 'Stop Category Sale', message: 'Stop the sale for this category? Prices will revert to normal.', confirmLabel: 'Stop Sale' }))) return;
     setLoading(true);
     try {
+      const previousPrices = await getCategorySaleState(catId);
       const { error } = await supabase.from('products').update({ is_on_sale: false, sale_price: null }).eq('category_id', catId);
       if (error) throw error;
-      await logAction('DELETE', 'Sale', `Removed sale for category ID: ${catId}`, { categoryId: catId });
+      await logAction('DELETE', 'Sale', `Removed sale for category ID: ${catId}`, { categoryId: catId, productIds: previousPrices.map(p => p.id), previousPrices });
       toast.success("Category sale stopped.");
       fetchActiveSales();
     } catch (e) { toast.error(e.message); }
@@ -115,12 +126,13 @@ function BulkSalesPanel() {
   const handleCategorySale = async () => {
     if (!selectedCat) return toast.error("Please select a category");
     if (percent <= 0 || percent >= 100) return toast.error("Invalid percentage");
-    if (!window.confirm(`Apply ${percent}% OFF to ALL active products in this category?`)) return;
+    if (!(await confirmAction({ title: 'Launch Category Sale', message: `Apply ${percent}% OFF to ALL active products in this category?`, confirmLabel: 'Launch Sale' }))) return;
     setLoading(true);
     try {
+      const previousPrices = await getCategorySaleState(selectedCat);
       const { error } = await supabase.rpc('apply_category_discount', { target_category_id: selectedCat, discount_percent: parseFloat(percent) });
       if (error) throw error;
-      await logAction('CREATE', 'Sale', `Launched ${percent}% sale for category ID: ${selectedCat}`, { categoryId: selectedCat, percent });
+      await logAction('CREATE', 'Sale', `Launched ${percent}% sale for category ID: ${selectedCat}`, { categoryId: selectedCat, percent, productIds: previousPrices.map(p => p.id), previousPrices });
       toast.success("Sale live!");
       setPercent(10); setSelectedCat(''); fetchActiveSales();
     } catch (e) { toast.error(e.message); }
@@ -128,7 +140,15 @@ function BulkSalesPanel() {
   };
 
 const handleClearAll = async () => {
-    if (!window.confirm("DANGER: This will remove ALL discounts from the entire store. Continue?")) return;
+    const confirmed = await confirmAction({
+      title: 'Reset Store Prices',
+      message: 'DANGER: This will remove ALL discounts from the entire store.',
+      confirmLabel: 'Reset All Prices',
+      danger: true,
+      stepUp: true,
+      action: 'Reset store prices'
+    });
+    if (!confirmed) return;
 
     setLoading(true);
     try {
@@ -179,16 +199,18 @@ const handleClearAll = async () => {
             <button onClick={handleCategorySale} disabled={loading} className="w-full py-2.5 bg-slate-900 hover:bg-black text-white font-medium rounded-lg flex items-center justify-center gap-2 transition-all">{loading ? <Loader2 className="animate-spin" size={18} /> : "Apply Discount"}</button>
           </div>
         </div>
-        <div className="bg-white p-6 rounded-2xl border border-red-100 shadow-sm flex flex-col justify-between">
-          <div>
-            <div className="flex items-center gap-3 mb-4">
-              <div className="p-2 bg-red-50 text-red-600 rounded-lg"><AlertCircle size={20} /></div>
-              <h2 className="text-lg font-semibold text-slate-900">Emergency Stop</h2>
+        {can('sales.emergency_stop') && (
+          <div className="bg-white p-6 rounded-2xl border border-red-100 shadow-sm flex flex-col justify-between">
+            <div>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 bg-red-50 text-red-600 rounded-lg"><AlertCircle size={20} /></div>
+                <h2 className="text-lg font-semibold text-slate-900">Emergency Stop</h2>
+              </div>
+              <p className="text-sm text-slate-500">Instantly remove all discounts from every product in the store.</p>
             </div>
-            <p className="text-sm text-slate-500">Instantly remove all discounts from every product in the store.</p>
+            <button onClick={handleClearAll} disabled={loading} className="w-full mt-4 py-2.5 bg-white border border-red-200 text-red-600 hover:bg-red-50 font-medium rounded-lg flex items-center justify-center gap-2 transition-all">{loading ? <Loader2 className="animate-spin" size={18} /> : <RefreshCcw size={18} />} Reset Store Prices</button>
           </div>
-          <button onClick={handleClearAll} disabled={loading} className="w-full mt-4 py-2.5 bg-white border border-red-200 text-red-600 hover:bg-red-50 font-medium rounded-lg flex items-center justify-center gap-2 transition-all">{loading ? <Loader2 className="animate-spin" size={18} /> : <RefreshCcw size={18} />} Reset Store Prices</button>
-        </div>
+        )}
       </div>
       <div>
         <h3 className="text-lg font-bold text-slate-900 mb-4 flex items-center gap-2"><TrendingDown className="text-emerald-600" /> Current Active Discounts</h3>
@@ -222,6 +244,8 @@ const handleClearAll = async () => {
 
 // --- SUB-COMPONENT 2: COUPONS MANAGER (Unchanged) ---
 function CouponsPanel() {
+  const { can } = useAuth();
+  const confirmAction = useConfirm();
   const [coupons, setCoupons] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isCreating, setIsCreating] = useState(false);
@@ -272,14 +296,31 @@ function CouponsPanel() {
   };
 
   const deleteCoupon = async (id) => {
-    if (!window.confirm("Permanently delete this coupon?")) return;
-    await logAction('DELETE', 'Coupon', `Deleted coupon ID: ${id}`);
-    await supabase.from('coupons').delete().eq('id', id);
+    const confirmed = await confirmAction({
+      title: 'Delete Coupon',
+      message: 'Permanently delete this coupon?',
+      confirmLabel: 'Delete',
+      danger: true,
+      stepUp: true,
+      action: `Delete coupon ID: ${id}`
+    });
+    if (!confirmed) return;
+    // Full row as the "before" snapshot, so the coupon can be recreated from the log
+    const coupon = coupons.find(c => c.id === id);
+    const { error } = await supabase.from('coupons').delete().eq('id', id);
+    if (error) return toast.error(error.message);
+    await logAction('DELETE', 'Coupon', `Deleted coupon ${coupon?.code || `ID: ${id}`}`, { id, before: coupon || null, after: null });
     fetchCoupons();
   };
 
   const toggleStatus = async (id, status) => {
-    await supabase.from('coupons').update({ is_active: !status }).eq('id', id);
+    const { error } = await supabase.from('coupons').update({ is_active: !status }).eq('id', id);
+    if (error) return toast.error(error.message);
+    const coupon = coupons.find(c => c.id === id);
+    await logAction('UPDATE', 'Coupon', `${status ? 'Deactivated' : 'Activated'} coupon: ${coupon?.code}`, {
+      id,
+      ...diffSnapshots({ is_active: status }, { is_active: !status })
+    });
     fetchCoupons();
   };
 
@@ -423,7 +464,7 @@ function CouponsPanel() {
                     ) : '∞'}
                   </td>
                   <td className="px-6 py-4"><button onClick={() => toggleStatus(c.id, c.is_active)} className={`px-2 py-1 rounded text-xs font-bold ${c.is_active ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-100 text-slate-500'}`}>{c.is_active ? 'Active' : 'Inactive'}</button></td>
-                  <td className="px-6 py-4 text-right"><button onClick={() => deleteCoupon(c.id)} className="text-slate-400 hover:text-red-600"><Trash2 size={18} /></button></td>
+                  <td className="px-6 py-4 text-right">{can('coupons.delete') && <button onClick={() => deleteCoupon(c.id)} className="text-slate-400 hover:text-red-600"><Trash2 size={18} /></button>}</td>
                 </tr>
               ))}
             </tbody>
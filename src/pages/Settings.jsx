@@ -11,14 +11,23 @@ import {
   Trash2,
   Upload,
   Link as LinkIcon,
-  X
+  X,
+  ShieldCheck,
+  Boxes
 } from 'lucide-react';
-import { logAction } from '../lib/logger';
+import { logAction, diffSnapshots } from '../lib/logger';
+import { DEFAULT_IDLE_TIMEOUT_MINUTES, MIN_IDLE_TIMEOUT_MINUTES, MAX_IDLE_TIMEOUT_MINUTES, parseIdleTimeout, setIdleTimeoutMinutes } from '../lib/session';
+import { DEFAULT_LOW_STOCK_THRESHOLD, parseThreshold } from '../lib/inventory';
+import { useAuth } from '../context/AuthContext';
+import { useConfirm } from '../context/ConfirmContext';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
 
 export default function Settings() {
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [fetching, setFetching] = useState(true);
+  const { mfa, refreshAccess } = useAuth();
+  const confirmAction = useConfirm();
 
   // State Structure
   const [config, setConfig] = useState({
@@ -27,8 +36,12 @@ export default function Settings() {
     support_email: '',
     shipping_fee: 0,
     free_shipping_threshold: 0,
+    idle_timeout_minutes: DEFAULT_IDLE_TIMEOUT_MINUTES,
+    require_mfa: false,
+    low_stock_threshold: DEFAULT_LOW_STOCK_THRESHOLD,
     banners: []
   });
+  const [savedConfig, setSavedConfig] = useState({}); // Last saved row, for the audit diff
 
   useEffect(() => {
     fetchSettings();
@@ -42,7 +55,15 @@ export default function Settings() {
         .single();
 
       if (error && error.code !== 'PGRST116') throw error;
-      if (data) setConfig(data);
+      if (data) {
+        setConfig(prev => ({
+          ...prev,
+          ...data,
+          idle_timeout_minutes: data.idle_timeout_minutes ?? prev.idle_timeout_minutes,
+          low_stock_threshold: data.low_stock_threshold ?? prev.low_stock_threshold
+        }));
+        setSavedConfig(data);
+      }
     } catch (error) {
       console.error(error);
       toast.error("Failed to load settings");
@@ -53,14 +74,39 @@ export default function Settings() {
 
   const handleSave = async (e) => {
     e.preventDefault();
+
+    // Otherwise the owner would lock themselves behind the 2FA gate on save
+    if (config.require_mfa && !mfa.enrolled) {
+      toast.error("Set up two-factor authentication on your own account before requiring it");
+      return;
+    }
+
+    const idleTimeout = parseIdleTimeout(config.idle_timeout_minutes);
+    if (idleTimeout === null) {
+      toast.error(`Idle timeout must be a number of minutes (${MIN_IDLE_TIMEOUT_MINUTES}–${MAX_IDLE_TIMEOUT_MINUTES})`);
+      return;
+    }
+
+    // The store default can't be left blank, there is nothing for it to inherit from
+    const lowStockThreshold = parseThreshold(config.low_stock_threshold);
+    if (lowStockThreshold === null) {
+      toast.error("Low stock threshold must be a whole number (0 or more)");
+      return;
+    }
+
     setLoading(true);
     try {
+      const row = { id: 1, ...config, idle_timeout_minutes: idleTimeout, low_stock_threshold: lowStockThreshold };
       const { error } = await supabase
         .from('store_settings')
-        .upsert({ id: 1, ...config });
+        .upsert(row);
 
       if (error) throw error;
-      await logAction('UPDATE', 'Settings', 'Updated global store settings', config);
+      setIdleTimeoutMinutes(idleTimeout);
+      setConfig(row); // Shows the clamped value
+      await logAction('UPDATE', 'Settings', 'Updated global store settings', diffSnapshots(savedConfig, row));
+      setSavedConfig(row);
+      await refreshAccess(); // Picks up a change to the 2FA requirement
       toast.success("Store settings updated successfully!");
     } catch (error) {
       toast.error(error.message);
@@ -110,8 +156,16 @@ export default function Settings() {
     }
   };
 
-  const removeBanner = (index) => {
-    if (!window.confirm("Remove this banner?")) return;
+  const removeBanner = async (index) => {
+    const confirmed = await confirmAction({
+      title: 'Remove Banner',
+      message: 'Remove this banner from the homepage slider?',
+      confirmLabel: 'Remove',
+      danger: true,
+      stepUp: true,
+      action: `Remove homepage banner #${index + 1}`
+    });
+    if (!confirmed) return;
     setConfig(prev => ({
       ...prev,
       banners: prev.banners.filter((_, i) => i !== index)
@@ -220,6 +274,65 @@ export default function Settings() {
                     </div>
                 </div>
             </section>
+
+            {/* 3. SECURITY */}
+            <section className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden h-fit">
+                <div className="p-4 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+                    <div className="p-2 bg-amber-50 text-amber-600 rounded-lg"><ShieldCheck size={18}/></div>
+                    <h2 className="font-semibold text-slate-900">Security</h2>
+                </div>
+                <div className="p-6 space-y-6">
+                    <div>
+                        <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">Idle Timeout (Minutes)</label>
+                        <input
+                            type="number"
+                            min={MIN_IDLE_TIMEOUT_MINUTES}
+                            max={MAX_IDLE_TIMEOUT_MINUTES}
+                            value={config.idle_timeout_minutes}
+                            onChange={e => setConfig({...config, idle_timeout_minutes: e.target.value})}
+                            className="w-full pl-3 pr-4 py-2.5 bg-white border border-slate-200 rounded-lg focus:ring-2 focus:ring-amber-500/20 focus:border-amber-500 outline-none transition-all font-mono"
+                        />
+                        <p className="text-xs text-slate-400 mt-2">Staff are warned a minute before being signed out after this long without activity.</p>
+                    </div>
+
+                    <label className="flex items-start gap-3 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={!!config.require_mfa}
+                            onChange={e => setConfig({...config, require_mfa: e.target.checked})}
+                            className="mt-0.5 w-4 h-4 accent-amber-600"
+                        />
+                        <span>
+                            <span className="block text-sm font-medium text-slate-900">Require 2FA for all staff</span>
+                            <span className="block text-xs text-slate-400">Staff without an authenticator must set one up before they can use the admin.</span>
+                        </span>
+                    </label>
+
+                    <div className="pt-6 border-t border-slate-100">
+                        <label className="text-xs font-bold text-slate-500 uppercase mb-3 block">Your Two-Factor Authentication</label>
+                        <TwoFactorSetup />
+                    </div>
+                </div>
+            </section>
+
+            {/* 4. INVENTORY ALERTS */}
+            <section className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden h-fit">
+                <div className="p-4 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+                    <div className="p-2 bg-red-50 text-red-600 rounded-lg"><Boxes size={18}/></div>
+                    <h2 className="font-semibold text-slate-900">Inventory Alerts</h2>
+                </div>
+                <div className="p-6">
+                    <label className="text-xs font-bold text-slate-500 uppercase mb-1.5 block">Default Low-Stock Threshold</label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={config.low_stock_threshold}
+                        onChange={e => setConfig({...config, low_stock_threshold: e.target.value})}
+                        className="w-full pl-3 pr-4 py-2.5 bg-white border border-slate-200 rounded-lg focus:ring-2 focus:ring-red-500/20 focus:border-red-500 outline-none transition-all font-mono"
+                    />
+                    <p className="text-xs text-slate-400 mt-2">Variants with fewer units than this are flagged as low stock. Products and variants can override it on their edit page.</p>
+                </div>
+            </section>
         </div>
 
         {/* --- BOTTOM SECTION: LARGE BANNER MANAGER --- */}
@@ -0,0 +1,325 @@
+import React, { useEffect, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import { toast, Toaster } from 'sonner';
+import {
+  UserCog,
+  UserPlus,
+  User,
+  Clock,
+  Loader2,
+  X,
+  Mail,
+  UserX,
+  UserCheck
+} from 'lucide-react';
+import { logAction } from '../lib/logger';
+import { useAuth } from '../context/AuthContext';
+import { useConfirm } from '../context/ConfirmContext';
+import { ALL_ROLES } from '../lib/roles';
+
+export default function Team() {
+  const { user } = useAuth();
+  const confirmAction = useConfirm();
+  const [staff, setStaff] = useState([]);
+  const [lastLogins, setLastLogins] = useState({}); // admin_users id -> ISO date
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+
+  // INVITE MODAL STATE
+  const [inviteModal, setInviteModal] = useState({ open: false, email: '', full_name: '', role: 'packer' });
+  const [inviting, setInviting] = useState(false);
+
+  useEffect(() => {
+    fetchTeam();
+  }, []);
+
+  const fetchTeam = async () => {
+    setLoading(true);
+    try {
+      const [staffRes, loginRes] = await Promise.all([
+        supabase.from('admin_users').select('*').order('created_at', { ascending: true }),
+        // From Supabase Auth, so it isn't limited by how long the activity log is kept
+        supabase.rpc('get_team_sign_ins')
+      ]);
+
+      if (staffRes.error) throw staffRes.error;
+      if (loginRes.error) throw loginRes.error;
+
+      const logins = {};
+      loginRes.data?.forEach(row => {
+        if (row.last_sign_in_at) logins[row.id] = row.last_sign_in_at;
+      });
+
+      setStaff(staffRes.data || []);
+      setLastLogins(logins);
+    } catch (error) {
+      toast.error('Failed to load team');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const email = inviteModal.email.trim().toLowerCase();
+
+    if (staff.some(member => member.email?.toLowerCase() === email)) {
+      return toast.error('This email is already on the team');
+    }
+
+    setInviting(true);
+    try {
+      // Sending the invite email needs the service role, so it runs in an edge function
+      // that also creates the admin_users row for the new account.
+      const { error } = await supabase.functions.invoke('invite-staff', {
+        body: { email, full_name: inviteModal.full_name.trim(), role: inviteModal.role }
+      });
+      if (error) {
+        // Non-2xx responses carry the function's own { error } message in the response body
+        const body = await error.context?.json?.().catch(() => null);
+        throw new Error(body?.error || error.message);
+      }
+
+      await logAction('CREATE', 'Team', `Invited ${email} as ${inviteModal.role}`, { email, role: inviteModal.role });
+      toast.success(`Invitation sent to ${email}`);
+      setInviteModal({ open: false, email: '', full_name: '', role: 'packer' });
+      fetchTeam();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    if (role === member.role) return;
+    setSavingId(member.id);
+    try {
+      const { error } = await supabase.from('admin_users').update({ role }).eq('id', member.id);
+      if (error) throw error;
+
+      await logAction('UPDATE', 'Team', `Changed role of ${member.email} from ${member.role} to ${role}`, {
+        id: member.id,
+        email: member.email,
+        old_role: member.role,
+        new_role: role
+      });
+      setStaff(prev => prev.map(m => m.id === member.id ? { ...m, role } : m));
+      toast.success('Role updated');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleToggleActive = async (member) => {
+    const activate = !member.is_active;
+    if (!activate) {
+      const confirmed = await confirmAction({
+        title: 'Deactivate Account',
+        message: `Deactivate ${member.email}? They will lose access to the admin immediately.`,
+        confirmLabel: 'Deactivate',
+        danger: true,
+        stepUp: true,
+        action: `Deactivate staff account: ${member.email}`
+      });
+      if (!confirmed) return;
+    }
+
+    setSavingId(member.id);
+    try {
+      const { error } = await supabase.from('admin_users').update({ is_active: activate }).eq('id', member.id);
+      if (error) throw error;
+
+      await logAction(
+        'UPDATE',
+        'Team',
+        `${activate ? 'Reactivated' : 'Deactivated'} staff account: ${member.email}`,
+        { id: member.id, email: member.email, is_active: activate }
+      );
+      setStaff(prev => prev.map(m => m.id === member.id ? { ...m, is_active: activate } : m));
+      toast.success(activate ? 'Account reactivated' : 'Account deactivated');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const getStatus = (member) => {
+    if (!member.is_active) return { label: 'Deactivated', style: 'bg-red-50 text-red-600 border-red-100' };
+    if (!lastLogins[member.id]) return { label: 'Invited', style: 'bg-amber-100 text-amber-800 border-amber-200' };
+    return { label: 'Active', style: 'bg-emerald-100 text-emerald-700 border-emerald-200' };
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto pb-20 pt-6 px-6">
+      <Toaster position="top-right" richColors />
+
+      {/* INVITE MODAL */}
+      {inviteModal.open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm p-4">
+          <form onSubmit={handleInvite} className="bg-white rounded-2xl shadow-xl w-full max-w-md overflow-hidden animate-in fade-in zoom-in-95 duration-200">
+            <div className="px-6 py-4 bg-slate-50 border-b border-slate-100 flex justify-between items-center">
+              <h3 className="font-semibold text-slate-900">Invite Staff Member</h3>
+              <button type="button" onClick={() => setInviteModal({ ...inviteModal, open: false })} className="text-slate-400 hover:text-slate-600"><X size={20} /></button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Email</label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
+                  <input
+                    type="email"
+                    required
+                    value={inviteModal.email}
+                    onChange={(e) => setInviteModal({ ...inviteModal, email: e.target.value })}
+                    className="w-full pl-9 pr-3 py-2.5 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                    placeholder="name@example.com"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Full Name <span className="text-slate-400 font-normal">(Optional)</span></label>
+                <input
+                  type="text"
+                  value={inviteModal.full_name}
+                  onChange={(e) => setInviteModal({ ...inviteModal, full_name: e.target.value })}
+                  className="w-full px-3 py-2.5 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Role</label>
+                <select
+                  value={inviteModal.role}
+                  onChange={(e) => setInviteModal({ ...inviteModal, role: e.target.value })}
+                  className="w-full px-3 py-2.5 text-sm border border-slate-200 rounded-lg bg-white capitalize focus:ring-2 focus:ring-indigo-500 outline-none"
+                >
+                  {ALL_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+              </div>
+            </div>
+            <div className="px-6 py-4 bg-slate-50 border-t border-slate-100 flex justify-end gap-3">
+              <button type="button" onClick={() => setInviteModal({ ...inviteModal, open: false })} className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-200 rounded-lg transition-colors">Close</button>
+              <button type="submit" disabled={inviting} className="px-4 py-2 text-sm font-medium text-white bg-indigo-900 hover:bg-indigo-800 rounded-lg shadow-sm transition-all flex items-center gap-2">
+                {inviting ? <Loader2 className="animate-spin" size={16} /> : <UserPlus size={16} />} Send Invite
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+            <UserCog className="text-indigo-600" /> Team
+          </h1>
+          <p className="text-slate-500">Staff accounts with access to the admin portal.</p>
+        </div>
+        <button
+          onClick={() => setInviteModal({ ...inviteModal, open: true })}
+          className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-black transition-all shadow-sm"
+        >
+          <UserPlus size={16} /> Invite Staff
+        </button>
+      </div>
+
+      {/* Table */}
+      <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-slate-500 font-medium border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-4">Staff Member</th>
+                <th className="px-6 py-4">Role</th>
+                <th className="px-6 py-4">Last Login</th>
+                <th className="px-6 py-4">Status</th>
+                <th className="px-6 py-4 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {loading ? (
+                <tr><td colSpan="5" className="p-12 text-center"><Loader2 className="animate-spin mx-auto text-indigo-500" /></td></tr>
+              ) : staff.length === 0 ? (
+                <tr><td colSpan="5" className="p-12 text-center text-slate-400">No staff accounts yet.</td></tr>
+              ) : (
+                staff.map((member) => {
+                  const status = getStatus(member);
+                  const isSelf = member.id === user?.id;
+                  const lastLogin = lastLogins[member.id];
+                  return (
+                    <tr key={member.id} className="hover:bg-slate-50 transition-colors">
+                      {/* 1. Member */}
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-3">
+                          <div className="w-8 h-8 rounded-full bg-slate-100 flex items-center justify-center text-slate-400">
+                            <User size={16} />
+                          </div>
+                          <div>
+                            <div className="text-slate-900 font-medium">
+                              {member.full_name || member.email}
+                              {isSelf && <span className="ml-2 text-[10px] text-slate-400 uppercase tracking-wider font-bold">You</span>}
+                            </div>
+                            {member.full_name && <div className="text-xs text-slate-500">{member.email}</div>}
+                          </div>
+                        </div>
+                      </td>
+
+                      {/* 2. Role (owners can't demote themselves and lock everyone out of this page) */}
+                      <td className="px-6 py-4">
+                        <select
+                          value={member.role}
+                          disabled={isSelf || savingId === member.id}
+                          onChange={(e) => handleRoleChange(member, e.target.value)}
+                          className="px-3 py-1.5 text-sm border border-slate-200 rounded-lg bg-white capitalize focus:ring-2 focus:ring-indigo-500/20 outline-none disabled:bg-slate-50 disabled:text-slate-400"
+                        >
+                          {ALL_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                        </select>
+                      </td>
+
+                      {/* 3. Last Login */}
+                      <td className="px-6 py-4 text-slate-500 whitespace-nowrap">
+                        {lastLogin ? (
+                          <div className="flex items-center gap-2">
+                            <Clock size={14} className="text-slate-400" />
+                            {new Date(lastLogin).toLocaleDateString()} {new Date(lastLogin).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </div>
+                        ) : (
+                          <span className="text-slate-300">Never</span>
+                        )}
+                      </td>
+
+                      {/* 4. Status */}
+                      <td className="px-6 py-4">
+                        <span className={`inline-flex px-2.5 py-1 rounded-full text-xs font-bold border ${status.style}`}>{status.label}</span>
+                      </td>
+
+                      {/* 5. Actions */}
+                      <td className="px-6 py-4 text-right">
+                        {!isSelf && (
+                          <button
+                            onClick={() => handleToggleActive(member)}
+                            disabled={savingId === member.id}
+                            className={`inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border transition-colors disabled:opacity-50 ${member.is_active
+                              ? 'text-red-600 border-red-200 hover:bg-red-50'
+                              : 'text-emerald-600 border-emerald-200 hover:bg-emerald-50'
+                            }`}
+                          >
+                            {member.is_active ? <><UserX size={14} /> Deactivate</> : <><UserCheck size={14} /> Reactivate</>}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
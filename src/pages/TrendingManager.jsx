@@ -104,10 +104,17 @@ export default function TrendingManager() {
   const removeFromTrending = async (id) => {
     // Error Prevention: Could add a confirm dialog here if preferred
     try {
+      const item = trending.find(t => t.id === id);
       const { error } = await supabase.from('trending_products').delete().eq('id', id);
       if (error) throw error;
       setTrending(prev => prev.filter(item => item.id !== id));
-      await logAction('DELETE', 'Trending', `Removed item from trending list`, { id });
+      // Previous row kept so the removal can be reverted from the activity log
+      await logAction('DELETE', 'Trending', `Removed ${item?.product?.name || 'item'} from trending list`, {
+        id,
+        productId: item?.product?.id,
+        before: item ? { product_id: item.product?.id, position: item.position } : null,
+        after: null
+      });
       toast.success('Removed from list');
     } catch (error) {
       toast.error('Error removing item');
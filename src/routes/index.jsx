@@ -1,5 +1,6 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
 import Login from '../pages/Login'
+import ResetPassword from '../pages/ResetPassword';
 import Dashboard from '../pages/Dashboard';
 import ProtectedRoute from '../components/auth/ProtectedRoute';
 import AddProduct from '../pages/AddProduct';
@@ -13,27 +14,54 @@ import Orders from '../pages/Orders';
 import Settings from '../pages/Settings';
 import TrendingManager from '../pages/TrendingManager';
 import ActivityLogs from '../pages/ActivityLogs';
+import Team from '../pages/Team';
+import ProfitReport from '../pages/ProfitReport';
+import BestSellers from '../pages/BestSellers';
+import LowStock from '../pages/LowStock';
+import CampaignReport from '../pages/CampaignReport';
+import Payments from '../pages/Payments';
+import ImportProducts from '../pages/ImportProducts';
+import Account from '../pages/Account';
+import { ROLES, MANAGEMENT_ROLES } from '../lib/roles';
 
 export default function AppRoutes() {
   return (
     <Routes>
       {/* Public Routes */}
       <Route path="/login" element={<Login />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
 
       {/* Protected Dashboard Routes */}
       <Route element={<ProtectedRoute />}>
         <Route element={<Layout />}>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/add-product" element={<AddProduct />}/>
-          <Route path="/products" element={<Products />} />
-          <Route path="/edit-product/:id" element={<EditProduct />} />
-          <Route path="/attributes" element={<Attributes />} />
-          <Route path="/sales" element={<SalesManager />} />
+          {/* All Staff (incl. packers) */}
           <Route path="/orders" element={<Orders />} />
-          <Route path="/orders/create" element={<CreateOrder />} />
-          <Route path="/settings" element={<Settings />} />
-          <Route path="/trending" element={<TrendingManager />} />
-          <Route path="/logs" element={<ActivityLogs />} />
+          <Route path="/account" element={<Account />} />
+
+          {/* Owners & Managers */}
+          <Route element={<ProtectedRoute allowedRoles={MANAGEMENT_ROLES} />}>
+            <Route path="/" element={<Dashboard />} />
+            <Route path="/add-product" element={<AddProduct />}/>
+            <Route path="/products" element={<Products />} />
+            <Route path="/products/import" element={<ImportProducts />} />
+            <Route path="/edit-product/:id" element={<EditProduct />} />
+            <Route path="/attributes" element={<Attributes />} />
+            <Route path="/sales" element={<SalesManager />} />
+            <Route path="/orders/create" element={<CreateOrder />} />
+            <Route path="/trending" element={<TrendingManager />} />
+            <Route path="/reports/profit" element={<ProfitReport />} />
+            <Route path="/reports/best-sellers" element={<BestSellers />} />
+            <Route path="/inventory/low-stock" element={<LowStock />} />
+            <Route path="/reports/campaigns" element={<CampaignReport />} />
+            <Route path="/finance/payments" element={<Payments />} />
+          </Route>
+
+          {/* Owners Only */}
+          <Route element={<ProtectedRoute allowedRoles={[ROLES.OWNER]} />}>
+            <Route path="/settings" element={<Settings />} />
+            <Route path="/logs" element={<ActivityLogs />} />
+            <Route path="/team" element={<Team />} />
+          </Route>
         </Route>
       </Route>
 
@@ -41,4 +69,4 @@ export default function AppRoutes() {
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
-}
\ No newline at end of file
+}
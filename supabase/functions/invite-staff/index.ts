@@ -0,0 +1,60 @@
+// Invites a staff member (src/pages/Team.jsx). Needs the service role to send the invite email,
+// so it runs here: checks the caller is an active owner, invites the address and creates the
+// admin_users row. The invite link lands on /reset-password, where the new member picks a password.
+//
+// Deploy: supabase functions deploy invite-staff
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const ROLES = ['owner', 'manager', 'packer'];
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+
+  const url = Deno.env.get('SUPABASE_URL')!;
+  const admin = createClient(url, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  // The caller, from their own JWT
+  const caller = createClient(url, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: req.headers.get('Authorization') ?? '' } }
+  });
+  const { data: { user } } = await caller.auth.getUser();
+  if (!user) return json({ error: 'Not signed in' }, 401);
+
+  const { data: callerRow } = await admin.from('admin_users').select('role, is_active').eq('id', user.id).maybeSingle();
+  if (callerRow?.role !== 'owner' || !callerRow.is_active) return json({ error: 'Only owners can invite staff' }, 403);
+
+  const { email, full_name, role } = await req.json().catch(() => ({}));
+  const address = String(email ?? '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) return json({ error: 'Enter a valid email address' }, 400);
+  if (!ROLES.includes(role)) return json({ error: 'Unknown role' }, 400);
+
+  const origin = req.headers.get('origin') ?? '';
+  const { data: invited, error: inviteError } = await admin.auth.admin.inviteUserByEmail(address, {
+    redirectTo: origin ? `${origin}/reset-password` : undefined,
+    data: { full_name }
+  });
+  if (inviteError) return json({ error: inviteError.message }, 400);
+
+  const { error: insertError } = await admin.from('admin_users').insert({
+    id: invited.user.id,
+    email: address,
+    full_name: full_name || null,
+    role,
+    is_active: true
+  });
+  if (insertError) {
+    // Don't leave an auth account behind that can't open the admin
+    await admin.auth.admin.deleteUser(invited.user.id);
+    return json({ error: insertError.message }, 400);
+  }
+
+  return json({ id: invited.user.id });
+});
@@ -0,0 +1,30 @@
+-- Staff accounts and their roles (src/lib/roles.js). One row per auth user that may use the admin.
+create table if not exists public.admin_users (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email text not null unique,
+  full_name text,
+  role text not null check (role in ('owner', 'manager', 'packer')),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Role of the signed-in user, null when they are not active staff. Used by policies and functions below.
+create or replace function public.admin_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from admin_users where id = auth.uid() and is_active
+$$;
+
+alter table public.admin_users enable row level security;
+
+drop policy if exists "Staff read own row, owners read all" on public.admin_users;
+create policy "Staff read own row, owners read all" on public.admin_users
+  for select using (id = auth.uid() or public.admin_role() = 'owner');
+
+drop policy if exists "Owners manage staff" on public.admin_users;
+create policy "Owners manage staff" on public.admin_users
+  for update using (public.admin_role() = 'owner') with check (public.admin_role() = 'owner');
@@ -0,0 +1,9 @@
+-- Minutes without activity before staff are signed out (src/components/auth/IdleTimeout.jsx).
+-- Same range the Settings page clamps to.
+alter table public.store_settings
+  add column if not exists idle_timeout_minutes integer not null default 30;
+
+alter table public.store_settings
+  drop constraint if exists store_settings_idle_timeout_minutes_check;
+alter table public.store_settings
+  add constraint store_settings_idle_timeout_minutes_check check (idle_timeout_minutes between 1 and 1440);
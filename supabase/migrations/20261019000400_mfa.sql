@@ -0,0 +1,107 @@
+-- Two-factor authentication (src/lib/mfa.js, src/components/auth/TwoFactorSetup.jsx).
+-- TOTP factors themselves are Supabase Auth's; this adds the store-wide rule and one-time backup codes.
+
+alter table public.store_settings
+  add column if not exists require_mfa boolean not null default false;
+
+-- SHA-256 hashes of the normalized codes; the plain codes are only shown to the user once
+create table if not exists public.mfa_backup_codes (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  code_hash text not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, code_hash)
+);
+
+alter table public.mfa_backup_codes
+  add column if not exists used_at timestamptz;
+
+alter table public.mfa_backup_codes enable row level security;
+
+-- No client policies: codes are only written through the functions below. A session that signed in with just
+-- a password (aal1) must not be able to plant a code of its own and then redeem it to drop the 2FA factor.
+drop policy if exists "Users insert own backup codes" on public.mfa_backup_codes;
+drop policy if exists "Users delete own backup codes" on public.mfa_backup_codes;
+
+create extension if not exists pgcrypto with schema extensions;
+
+-- Replaces the caller's codes with a fresh set and returns them in plain text, the only time they are shown.
+-- Needs an aal2 session, i.e. the caller has just passed their authenticator. Stored hashes match
+-- hashBackupCode in src/lib/mfa.js: SHA-256 hex of the code without the dash.
+create or replace function public.generate_mfa_backup_codes()
+returns text[]
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  alphabet constant text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; -- No 0/O or 1/I lookalikes
+  code_count constant integer := 10;
+  codes text[] := '{}';
+  random bytea;
+  chars text;
+begin
+  if auth.uid() is null or coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Verify with your authenticator app first' using errcode = '42501';
+  end if;
+
+  delete from mfa_backup_codes where user_id = auth.uid();
+
+  for i in 1..code_count loop
+    random := gen_random_bytes(8);
+    chars := '';
+    for j in 0..7 loop
+      chars := chars || substr(alphabet, get_byte(random, j) % length(alphabet) + 1, 1);
+    end loop;
+    insert into mfa_backup_codes (user_id, code_hash) values (auth.uid(), encode(digest(chars, 'sha256'), 'hex'));
+    codes := codes || (left(chars, 4) || '-' || right(chars, 4));
+  end loop;
+
+  return codes;
+end;
+$$;
+
+-- Redeems an unused code for the caller, who has passed the password step (aal1) but not the authenticator.
+-- The code is marked used, the caller's other codes are dropped and their TOTP factors removed, so they
+-- continue at aal1 and must enroll again. Returns false when the code doesn't match or there is no factor.
+-- Wrong codes count towards the sign-in lockout (record_failed_login, 20261019000600_login_lockout.sql),
+-- and a locked account can't redeem at all.
+create or replace function public.redeem_mfa_backup_code(code_hash text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+declare
+  redeemed bigint;
+begin
+  if auth.uid() is null or coalesce(auth.jwt() ->> 'aal', '') <> 'aal1' then
+    return false;
+  end if;
+  if not exists (select 1 from auth.mfa_factors f where f.user_id = auth.uid() and f.status = 'verified') then
+    return false;
+  end if;
+  if public.get_login_lockout(auth.jwt() ->> 'email') is not null then
+    return false;
+  end if;
+
+  update public.mfa_backup_codes c
+  set used_at = now()
+  where c.user_id = auth.uid() and c.code_hash = redeem_mfa_backup_code.code_hash and c.used_at is null
+  returning c.id into redeemed;
+
+  if redeemed is null then
+    perform public.record_failed_login(auth.jwt() ->> 'email', 'invalid_backup_code');
+    return false;
+  end if;
+
+  delete from auth.mfa_factors where user_id = auth.uid();
+  delete from public.mfa_backup_codes where user_id = auth.uid() and used_at is null;
+  return true;
+end;
+$$;
+
+revoke all on function public.generate_mfa_backup_codes() from public, anon;
+revoke all on function public.redeem_mfa_backup_code(text) from public, anon;
+grant execute on function public.generate_mfa_backup_codes() to authenticated;
+grant execute on function public.redeem_mfa_backup_code(text) to authenticated;
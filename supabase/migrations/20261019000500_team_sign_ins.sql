@@ -0,0 +1,24 @@
+-- Last sign-in of each staff member (src/pages/Team.jsx), from Supabase Auth rather than the activity log,
+-- which only keeps 30 days. Null means the invite hasn't been accepted yet. Owners only.
+
+create or replace function public.get_team_sign_ins()
+returns table (id uuid, last_sign_in_at timestamptz)
+language plpgsql
+stable
+security definer
+set search_path = public, auth
+as $$
+begin
+  if public.admin_role() is distinct from 'owner' then
+    raise exception 'Only owners can view the team' using errcode = '42501';
+  end if;
+
+  return query
+  select a.id, u.last_sign_in_at
+  from public.admin_users a
+  join auth.users u on u.id = a.id;
+end;
+$$;
+
+revoke all on function public.get_team_sign_ins() from public, anon;
+grant execute on function public.get_team_sign_ins() to authenticated;
@@ -0,0 +1,145 @@
+-- Failed sign-ins and lockouts (src/lib/loginAudit.js). Enforced by Supabase Auth hooks, so neither the
+-- browser nor a direct call to the Auth API can skip them: every password check (sign-in and step-up
+-- re-authentication) and every 2FA code check passes through here before Auth answers. Wrong backup codes
+-- are counted by redeem_mfa_backup_code. Failures are only recorded on these server-side paths.
+--
+-- Rule: 5 failures (wrong password or 2FA code) within 15 minutes, counted since the last successful
+-- LOGIN, lock the email for 15 minutes. Attempts made while locked are logged but don't extend it.
+--
+-- Enable both hooks under Authentication > Hooks in the dashboard:
+--   Password verification attempt -> public.hook_password_verification_attempt
+--   MFA verification attempt      -> public.hook_mfa_verification_attempt
+
+-- Lockout expiry for an email, null if it may sign in. Read-only, so the sign-in page may ask why it was refused.
+create or replace function public.get_login_lockout(email text)
+returns timestamptz
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select max((meta_data->>'lockedUntil')::timestamptz)
+  from activity_logs
+  where action_type = 'LOGIN_FAILED'
+    and user_email = lower(trim(get_login_lockout.email))
+    and created_at > now() - interval '1 day'
+    and meta_data ? 'lockedUntil'
+    and (meta_data->>'lockedUntil')::timestamptz > now()
+$$;
+
+-- Returns the lockout expiry when this failure tipped the email into a lockout, else null.
+-- Only called from the hooks below and redeem_mfa_backup_code, never by clients.
+create or replace function public.record_failed_login(email text, reason text)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  max_attempts constant integer := 5;
+  attempt_window constant interval := interval '15 minutes';
+  lockout_length constant interval := interval '15 minutes';
+  normalized text := lower(trim(record_failed_login.email));
+  short_reason text := left(coalesce(record_failed_login.reason, 'unknown'), 100);
+  last_success timestamptz;
+  failures integer;
+  locked_until timestamptz;
+begin
+  if normalized is null or normalized = '' then
+    return null;
+  end if;
+
+  if short_reason <> 'locked_out' then
+    select max(created_at) into last_success
+    from activity_logs
+    where user_email = normalized and action_type = 'LOGIN';
+
+    select count(*) + 1 into failures
+    from activity_logs
+    where user_email = normalized
+      and action_type = 'LOGIN_FAILED'
+      and coalesce(meta_data->>'reason', '') <> 'locked_out'
+      and created_at > greatest(now() - attempt_window, coalesce(last_success, '-infinity'::timestamptz));
+
+    if failures >= max_attempts then
+      locked_until := now() + lockout_length;
+    end if;
+  end if;
+
+  insert into activity_logs (user_email, action_type, resource, description, meta_data)
+  values (
+    normalized,
+    'LOGIN_FAILED',
+    'Auth',
+    case
+      when locked_until is not null then format('Account locked after %s failed sign-ins: %s', failures, normalized)
+      when short_reason = 'locked_out' then format('Sign-in attempt while locked: %s', normalized)
+      else format('Failed sign-in: %s', normalized)
+    end,
+    jsonb_strip_nulls(jsonb_build_object('reason', short_reason, 'attempt', failures, 'lockedUntil', locked_until))
+  );
+
+  return locked_until;
+end;
+$$;
+
+-- Shared by both hooks. event: { user_id, valid }. A locked account is refused even with the right
+-- secret; a wrong one is recorded and Auth reports it as usual unless it just caused the lockout.
+create or replace function public.check_login_attempt(event jsonb, reason text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+declare
+  account_email text;
+  locked_until timestamptz;
+begin
+  select u.email into account_email from auth.users u where u.id = (event->>'user_id')::uuid;
+  if account_email is null then
+    return jsonb_build_object('decision', 'continue');
+  end if;
+
+  locked_until := public.get_login_lockout(account_email);
+  if locked_until is not null then
+    perform public.record_failed_login(account_email, 'locked_out');
+  elsif not coalesce((event->>'valid')::boolean, false) then
+    locked_until := public.record_failed_login(account_email, check_login_attempt.reason);
+  end if;
+
+  if locked_until is not null then
+    return jsonb_build_object(
+      'decision', 'reject',
+      'message', 'Too many failed sign-in attempts. Try again later.',
+      'should_logout_user', false
+    );
+  end if;
+  return jsonb_build_object('decision', 'continue');
+end;
+$$;
+
+create or replace function public.hook_password_verification_attempt(event jsonb)
+returns jsonb
+language sql
+security definer
+set search_path = public
+as $$
+  select public.check_login_attempt(event, 'invalid_credentials')
+$$;
+
+create or replace function public.hook_mfa_verification_attempt(event jsonb)
+returns jsonb
+language sql
+security definer
+set search_path = public
+as $$
+  select public.check_login_attempt(event, 'invalid_totp')
+$$;
+
+revoke all on function public.record_failed_login(text, text) from public, anon, authenticated;
+revoke all on function public.check_login_attempt(jsonb, text) from public, anon, authenticated;
+revoke all on function public.hook_password_verification_attempt(jsonb) from public, anon, authenticated;
+revoke all on function public.hook_mfa_verification_attempt(jsonb) from public, anon, authenticated;
+grant execute on function public.hook_password_verification_attempt(jsonb) to supabase_auth_admin;
+grant execute on function public.hook_mfa_verification_attempt(jsonb) to supabase_auth_admin;
+grant execute on function public.get_login_lockout(text) to anon, authenticated;
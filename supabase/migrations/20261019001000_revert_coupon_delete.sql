@@ -0,0 +1,56 @@
+-- Undo of a coupon deletion (revertLogEntry in src/lib/revert.js). Recreates the coupon from the DELETE
+-- entry's "before" snapshot and writes the REVERT entry in the same transaction, so the once-only check,
+-- the insert and the log can't interleave with a second revert. The coupon gets a new id and is only
+-- recreated if no coupon has its code by now. Invoker rights: the caller's RLS on coupons and the log applies.
+
+create or replace function public.revert_coupon_delete(log_id activity_logs.id%type, description text, meta_data jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  snapshot jsonb;
+  columns text;
+  restored integer;
+begin
+  -- Serialises reverts of the same entry; released at commit, after the REVERT row is visible
+  perform pg_advisory_xact_lock(hashtext('revert:' || revert_coupon_delete.log_id::text));
+
+  if exists (
+    select 1 from activity_logs
+    where action_type = 'REVERT' and meta_data->>'revertedLogId' = revert_coupon_delete.log_id::text
+  ) then
+    raise exception 'This change has already been reverted';
+  end if;
+
+  select l.meta_data->'before' into snapshot
+  from activity_logs l
+  where l.id = revert_coupon_delete.log_id and l.resource = 'Coupon' and l.action_type = 'DELETE';
+  if snapshot is null or snapshot->>'code' is null then
+    raise exception 'This entry cannot be reverted';
+  end if;
+
+  -- Every snapshot column except the id, which may belong to another row by now
+  select string_agg(quote_ident(a.attname), ', ') into columns
+  from pg_attribute a
+  where a.attrelid = 'public.coupons'::regclass
+    and a.attnum > 0 and not a.attisdropped and a.attgenerated = ''
+    and a.attname <> 'id'
+    and snapshot ? a.attname;
+
+  execute format(
+    'insert into coupons (%1$s) select %1$s from jsonb_populate_record(null::coupons, $1) '
+    'where not exists (select 1 from coupons where code = $1->>''code'')',
+    columns
+  ) using snapshot;
+  get diagnostics restored = row_count;
+  if restored = 0 then
+    raise exception 'A coupon with the code % already exists', snapshot->>'code';
+  end if;
+
+  perform log_admin_action('REVERT', 'Coupon', revert_coupon_delete.description, revert_coupon_delete.meta_data);
+end;
+$$;
+
+revoke execute on function public.revert_coupon_delete from public, anon;
+grant execute on function public.revert_coupon_delete to authenticated;
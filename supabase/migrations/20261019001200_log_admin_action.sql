@@ -0,0 +1,49 @@
+-- Audit writes (src/lib/logger.js). Adds occurred_at so entries retried from the client's offline queue
+-- keep the time of the original action. It is only honoured within the log retention window, and never
+-- for Sale entries, which open and close sale windows (20261019002000_campaigns.sql); anything else is
+-- stamped now(). Replaces the old 4-argument version.
+--
+-- Signed-in callers only, and the entry's author is the caller's own account. Events before sign-in
+-- (failed logins) are written by the Auth hooks in 20261019000600_login_lockout.sql instead.
+
+drop function if exists public.log_admin_action(text, text, text, jsonb);
+
+create or replace function public.log_admin_action(
+  action_type text,
+  resource text,
+  description text,
+  meta_data jsonb default '{}'::jsonb,
+  occurred_at timestamptz default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+declare
+  caller_email text;
+begin
+  select u.email into caller_email from auth.users u where u.id = auth.uid();
+  if caller_email is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+
+  insert into public.activity_logs (created_at, user_email, action_type, resource, description, meta_data)
+  values (
+    case
+      when log_admin_action.resource is distinct from 'Sale'
+        and log_admin_action.occurred_at between now() - interval '30 days' and now()
+        then log_admin_action.occurred_at
+      else now()
+    end,
+    caller_email,
+    log_admin_action.action_type,
+    log_admin_action.resource,
+    log_admin_action.description,
+    coalesce(log_admin_action.meta_data, '{}'::jsonb)
+  );
+end;
+$$;
+
+revoke execute on function public.log_admin_action(text, text, text, jsonb, timestamptz) from public, anon;
+grant execute on function public.log_admin_action(text, text, text, jsonb, timestamptz) to authenticated;
@@ -0,0 +1,54 @@
+-- Dashboard aggregates (src/pages/Dashboard.jsx, src/lib/analytics.js). They return only totals, so the
+-- Dashboard no longer downloads every order and product. Invoker rights: the caller's RLS still applies.
+-- Cancelled orders never count towards revenue; ranges are [start_at, end_at).
+
+-- { pending_orders, active_products, products_on_sale }
+create or replace function public.get_dashboard_counts()
+returns table (pending_orders bigint, active_products bigint, products_on_sale bigint)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    (select count(*) from orders where status = 'pending'),
+    (select count(*) from products where is_active),
+    (select count(*) from products where is_active and is_on_sale)
+$$;
+
+-- { revenue, order_count }
+create or replace function public.get_sales_summary(start_at timestamptz, end_at timestamptz)
+returns table (revenue numeric, order_count bigint)
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(sum(total_amount), 0)::numeric, count(*)
+  from orders
+  where status is distinct from 'cancelled'
+    and created_at >= get_sales_summary.start_at
+    and created_at < get_sales_summary.end_at
+$$;
+
+-- One row per day or week ('day' | 'week') that had orders, grouped by local day in `tz` (an IANA name).
+-- Weeks start on Monday. bucket_start is 'YYYY-MM-DD' so the client can key it like <input type="date">.
+create or replace function public.get_sales_series(start_at timestamptz, end_at timestamptz, bucket text, tz text)
+returns table (bucket_start text, revenue numeric, order_count bigint)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    to_char(date_trunc(case when get_sales_series.bucket = 'week' then 'week' else 'day' end, created_at at time zone get_sales_series.tz), 'YYYY-MM-DD'),
+    coalesce(sum(total_amount), 0)::numeric,
+    count(*)
+  from orders
+  where status is distinct from 'cancelled'
+    and created_at >= get_sales_series.start_at
+    and created_at < get_sales_series.end_at
+  group by 1
+  order by 1
+$$;
+
+grant execute on function public.get_dashboard_counts() to authenticated;
+grant execute on function public.get_sales_summary(timestamptz, timestamptz) to authenticated;
+grant execute on function public.get_sales_series(timestamptz, timestamptz, text, text) to authenticated;
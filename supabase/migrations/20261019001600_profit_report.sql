@@ -0,0 +1,59 @@
+-- Profit report (src/pages/ProfitReport.jsx via fetchProfitReport in src/lib/analytics.js).
+-- One row per product sold in [start_at, end_at), cancelled orders excluded. Cost of goods uses the product's
+-- current product_costs.cost_price; lines without a cost price > 0 are left out of costed_revenue and
+-- cost_of_goods and counted in uncosted_units instead, so margin is only taken over known costs.
+-- Null filters mean "all".
+
+create or replace function public.get_profit_report(
+  start_at timestamptz,
+  end_at timestamptz,
+  category_filter categories.id%type default null,
+  fabric_filter fabrics.id%type default null,
+  design_filter designs.id%type default null
+)
+returns table (
+  product_id products.id%type,
+  product_name text,
+  category_name text,
+  fabric_name text,
+  design_name text,
+  units_sold bigint,
+  revenue numeric,
+  costed_revenue numeric,
+  cost_of_goods numeric,
+  uncosted_units bigint
+)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    p.id,
+    p.name,
+    c.name,
+    f.name,
+    d.name,
+    sum(oi.quantity)::bigint,
+    coalesce(sum(oi.quantity * oi.price_at_purchase), 0)::numeric,
+    coalesce(sum(oi.quantity * oi.price_at_purchase) filter (where pc.cost_price > 0), 0)::numeric,
+    coalesce(sum(oi.quantity * pc.cost_price) filter (where pc.cost_price > 0), 0)::numeric,
+    coalesce(sum(oi.quantity) filter (where pc.cost_price is null or pc.cost_price <= 0), 0)::bigint
+  from order_items oi
+  join orders o on o.id = oi.order_id
+  join product_variants v on v.id = oi.variant_id
+  join products p on p.id = v.product_id
+  left join product_costs pc on pc.product_id = p.id
+  left join categories c on c.id = p.category_id
+  left join fabrics f on f.id = p.fabric_id
+  left join designs d on d.id = p.design_id
+  where o.status is distinct from 'cancelled'
+    and o.created_at >= get_profit_report.start_at
+    and o.created_at < get_profit_report.end_at
+    and (get_profit_report.category_filter is null or p.category_id = get_profit_report.category_filter)
+    and (get_profit_report.fabric_filter is null or p.fabric_id = get_profit_report.fabric_filter)
+    and (get_profit_report.design_filter is null or p.design_id = get_profit_report.design_filter)
+  group by p.id, p.name, c.name, f.name, d.name
+  order by 7 desc
+$$;
+
+grant execute on function public.get_profit_report to authenticated;
@@ -0,0 +1,56 @@
+-- Best sellers (src/pages/BestSellers.jsx via fetchVariantSales in src/lib/analytics.js).
+-- Units and revenue per variant sold in [start_at, end_at), cancelled orders excluded. The page rolls these
+-- rows up by product, color, size, fabric or design. A null category_filter means all categories.
+
+create or replace function public.get_variant_sales(
+  start_at timestamptz,
+  end_at timestamptz,
+  category_filter categories.id%type default null
+)
+returns table (
+  variant_id product_variants.id%type,
+  product_id products.id%type,
+  product_name text,
+  category_name text,
+  fabric_name text,
+  design_name text,
+  color_name text,
+  color_hex text,
+  size_name text,
+  units_sold bigint,
+  revenue numeric
+)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    v.id,
+    p.id,
+    p.name,
+    c.name,
+    f.name,
+    d.name,
+    col.name,
+    col.hex_code,
+    s.name,
+    sum(oi.quantity)::bigint,
+    coalesce(sum(oi.quantity * oi.price_at_purchase), 0)::numeric
+  from order_items oi
+  join orders o on o.id = oi.order_id
+  join product_variants v on v.id = oi.variant_id
+  join products p on p.id = v.product_id
+  left join colors col on col.id = v.color_id
+  left join sizes s on s.id = v.size_id
+  left join categories c on c.id = p.category_id
+  left join fabrics f on f.id = p.fabric_id
+  left join designs d on d.id = p.design_id
+  where o.status is distinct from 'cancelled'
+    and o.created_at >= get_variant_sales.start_at
+    and o.created_at < get_variant_sales.end_at
+    and (get_variant_sales.category_filter is null or p.category_id = get_variant_sales.category_filter)
+  group by v.id, p.id, p.name, c.name, f.name, d.name, col.name, col.hex_code, s.name
+  order by 10 desc
+$$;
+
+grant execute on function public.get_variant_sales to authenticated;
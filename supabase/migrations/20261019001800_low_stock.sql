@@ -0,0 +1,40 @@
+-- Low-stock thresholds (src/lib/inventory.js). A store default in Settings, optional overrides per product
+-- and per variant (null = inherit). The view resolves the threshold and lists active products' variants
+-- below it; security_invoker keeps the caller's RLS on the underlying tables.
+
+alter table public.store_settings
+  add column if not exists low_stock_threshold integer not null default 5 check (low_stock_threshold >= 0);
+alter table public.products
+  add column if not exists low_stock_threshold integer check (low_stock_threshold >= 0);
+alter table public.product_variants
+  add column if not exists low_stock_threshold integer check (low_stock_threshold >= 0);
+
+create or replace view public.low_stock_variants
+with (security_invoker = true)
+as
+select
+  v.id as variant_id,
+  p.id as product_id,
+  p.name as product_name,
+  v.sku,
+  c.name as color_name,
+  c.hex_code as color_hex,
+  s.name as size_name,
+  v.stock_quantity,
+  t.threshold
+from product_variants v
+join products p on p.id = v.product_id
+left join colors c on c.id = v.color_id
+left join sizes s on s.id = v.size_id
+cross join lateral (
+  select coalesce(
+    v.low_stock_threshold,
+    p.low_stock_threshold,
+    (select low_stock_threshold from store_settings where id = 1),
+    5
+  ) as threshold
+) t
+where p.is_active
+  and v.stock_quantity < t.threshold;
+
+grant select on public.low_stock_variants to authenticated;
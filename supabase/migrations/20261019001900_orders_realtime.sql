@@ -0,0 +1,26 @@
+-- Live order feed (subscribeToOrders in src/lib/orderFeed.js). Adds orders to the supabase_realtime
+-- publication; safe to re-run.
+--
+-- Realtime checks each change against the subscriber's own select policies on orders, so staff only
+-- receive orders they could already read. With RLS off it would stream every order to anyone holding
+-- the public anon key, so this refuses to run until RLS is enabled on the table. Delete events can't be
+-- checked that way and carry only the order's id.
+
+do $$
+begin
+  if not (select relrowsecurity from pg_class where oid = 'public.orders'::regclass) then
+    raise exception 'Enable row level security on public.orders before publishing it to Realtime';
+  end if;
+
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    create publication supabase_realtime;
+  end if;
+
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'orders'
+  ) then
+    alter publication supabase_realtime add table public.orders;
+  end if;
+end;
+$$;
@@ -0,0 +1,208 @@
+-- Campaign results (src/pages/CampaignReport.jsx, src/lib/coupons.js, src/lib/campaigns.js).
+
+-- 1. Coupon recorded on each order. coupon_id takes the type of coupons.id.
+do $$
+begin
+  if not exists (select 1 from information_schema.columns where table_schema = 'public' and table_name = 'orders' and column_name = 'coupon_id') then
+    execute format(
+      'alter table public.orders add column coupon_id %s references public.coupons (id) on delete set null',
+      (select format_type(atttypid, atttypmod) from pg_attribute where attrelid = 'public.coupons'::regclass and attname = 'id')
+    );
+  end if;
+end;
+$$;
+
+alter table public.orders
+  add column if not exists coupon_code text,
+  add column if not exists discount_amount numeric not null default 0;
+alter table public.coupons
+  add column if not exists uses_count integer not null default 0;
+
+-- 2. Claims one use of a coupon. Checking and incrementing in one statement means two checkouts can't both
+-- take the last use. Returns false when the coupon is inactive, expired or used up.
+create or replace function public.redeem_coupon(coupon_id coupons.id%type)
+returns boolean
+language sql
+security definer
+set search_path = public
+as $$
+  with claimed as (
+    update coupons
+    set uses_count = uses_count + 1
+    where id = redeem_coupon.coupon_id
+      and is_active
+      and (expires_at is null or expires_at > now())
+      and (max_uses is null or max_uses <= 0 or uses_count < max_uses)
+    returning 1
+  )
+  select exists (select 1 from claimed)
+$$;
+
+-- Gives a claimed use back when the order it was claimed for could not be created
+create or replace function public.release_coupon(coupon_id coupons.id%type)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update coupons set uses_count = greatest(uses_count - 1, 0) where id = release_coupon.coupon_id
+$$;
+
+revoke execute on function public.redeem_coupon from public, anon;
+revoke execute on function public.release_coupon from public, anon;
+grant execute on function public.redeem_coupon to authenticated;
+grant execute on function public.release_coupon to authenticated;
+
+-- 3. Coupon performance: one row per coupon code in [start_at, end_at), plus a null row for orders without one.
+-- Discounts are summed per order before joining line items so they aren't counted once per item.
+create or replace function public.get_coupon_performance(start_at timestamptz, end_at timestamptz)
+returns table (
+  coupon_code text,
+  order_count bigint,
+  units_sold bigint,
+  revenue numeric,
+  discount_total numeric,
+  costed_revenue numeric,
+  cost_of_goods numeric,
+  uncosted_units bigint
+)
+language sql
+stable
+set search_path = public
+as $$
+  with period_orders as (
+    select id, coupon_code, coalesce(discount_amount, 0) as discount_amount
+    from orders
+    where status is distinct from 'cancelled'
+      and created_at >= get_coupon_performance.start_at
+      and created_at < get_coupon_performance.end_at
+  ),
+  order_totals as (
+    select coupon_code, count(*) as order_count, sum(discount_amount) as discount_total
+    from period_orders
+    group by coupon_code
+  ),
+  line_totals as (
+    select
+      o.coupon_code,
+      sum(oi.quantity) as units_sold,
+      sum(oi.quantity * oi.price_at_purchase) as revenue,
+      sum(oi.quantity * oi.price_at_purchase) filter (where pc.cost_price > 0) as costed_revenue,
+      sum(oi.quantity * pc.cost_price) filter (where pc.cost_price > 0) as cost_of_goods,
+      sum(oi.quantity) filter (where pc.cost_price is null or pc.cost_price <= 0) as uncosted_units
+    from period_orders o
+    join order_items oi on oi.order_id = o.id
+    join product_variants v on v.id = oi.variant_id
+    left join product_costs pc on pc.product_id = v.product_id
+    group by o.coupon_code
+  )
+  select
+    t.coupon_code,
+    t.order_count,
+    coalesce(l.units_sold, 0)::bigint,
+    coalesce(l.revenue, 0)::numeric,
+    coalesce(t.discount_total, 0)::numeric,
+    coalesce(l.costed_revenue, 0)::numeric,
+    coalesce(l.cost_of_goods, 0)::numeric,
+    coalesce(l.uncosted_units, 0)::bigint
+  from order_totals t
+  left join line_totals l on l.coupon_code is not distinct from t.coupon_code
+  order by t.coupon_code nulls first
+$$;
+
+grant execute on function public.get_coupon_performance(timestamptz, timestamptz) to authenticated;
+
+-- 4. Sale windows. activity_logs expire after 30 days, so the start and stop times SalesManager logs as `Sale`
+-- entries are copied here as they are written and kept:
+--   CREATE with categoryId -> sale starts (relaunching a running sale ends the previous window first)
+--   DELETE with categoryId -> that category's sale stops; DELETE without one is the store-wide reset
+--   REVERT                 -> undoes the reverted entry: a reverted launch stops the sale, a reverted stop restarts it
+-- category_id is categories.id as text, the way meta_data->>'categoryId' returns it.
+create table if not exists public.sale_windows (
+  id bigint generated always as identity primary key,
+  category_id text not null,
+  percent numeric,
+  start_at timestamptz not null,
+  end_at timestamptz,
+  check (end_at is null or end_at >= start_at)
+);
+
+create unique index if not exists sale_windows_one_running on public.sale_windows (category_id) where end_at is null;
+
+alter table public.sale_windows enable row level security;
+
+drop policy if exists "Management reads sale windows" on public.sale_windows;
+create policy "Management reads sale windows" on public.sale_windows
+  for select using (public.admin_role() in ('owner', 'manager'));
+
+create or replace function public.apply_sale_log(log activity_logs)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  action text := log.action_type;
+  meta jsonb := coalesce(log.meta_data, '{}'::jsonb);
+  original activity_logs;
+begin
+  if action = 'REVERT' then
+    select * into original from activity_logs where id::text = meta->>'revertedLogId';
+    if not found then return; end if;
+    -- A revert reapplies the state before the original, so its category and percent are the original's
+    action := case when original.action_type = 'CREATE' then 'DELETE' else 'CREATE' end;
+    meta := coalesce(original.meta_data, '{}'::jsonb);
+  end if;
+
+  if action = 'CREATE' and meta ? 'categoryId' then
+    update sale_windows set end_at = log.created_at where category_id = meta->>'categoryId' and end_at is null;
+    insert into sale_windows (category_id, percent, start_at)
+    values (meta->>'categoryId', nullif(meta->>'percent', '')::numeric, log.created_at);
+  elsif action = 'DELETE' and meta ? 'categoryId' then
+    update sale_windows set end_at = log.created_at where category_id = meta->>'categoryId' and end_at is null;
+  elsif action = 'DELETE' then
+    update sale_windows set end_at = log.created_at where end_at is null;
+  end if;
+end;
+$$;
+
+revoke execute on function public.apply_sale_log from public, anon, authenticated;
+
+create or replace function public.record_sale_window()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Runs as the inserting session, so this is the role of whoever logged the entry. Only entries from
+  -- management (who run sales) move windows; log_admin_action stamps Sale entries with the current time.
+  if public.admin_role() in ('owner', 'manager') then
+    perform apply_sale_log(new);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists activity_logs_sale_windows on public.activity_logs;
+create trigger activity_logs_sale_windows
+  after insert on public.activity_logs
+  for each row
+  when (new.resource = 'Sale' and new.action_type in ('CREATE', 'DELETE', 'REVERT'))
+  execute function public.record_sale_window();
+
+-- Backfill from the Sale entries still within retention
+do $$
+declare
+  log activity_logs;
+begin
+  if exists (select 1 from public.sale_windows) then return; end if;
+  for log in
+    select * from public.activity_logs
+    where resource = 'Sale' and action_type in ('CREATE', 'DELETE', 'REVERT')
+    order by created_at, id
+  loop
+    perform public.apply_sale_log(log);
+  end loop;
+end;
+$$;
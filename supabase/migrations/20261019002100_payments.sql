@@ -0,0 +1,29 @@
+-- Payment tracking (src/lib/payments.js, src/pages/Payments.jsx).
+-- payment_status: pending -> received (money in) -> reconciled (matched against the bank/UPI statement).
+-- Null is treated as pending, so existing and storefront orders need no backfill.
+
+alter table public.orders
+  add column if not exists payment_status text check (payment_status in ('pending', 'received', 'reconciled')),
+  add column if not exists payment_reference text,
+  add column if not exists payment_updated_at timestamptz;
+
+-- Order count and amount per payment method, order status and payment status for orders in [start_at, end_at)
+create or replace function public.get_payment_breakdown(start_at timestamptz, end_at timestamptz)
+returns table (payment_method text, status text, payment_status text, order_count bigint, amount numeric)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    payment_method,
+    status,
+    coalesce(payment_status, 'pending'),
+    count(*),
+    coalesce(sum(total_amount), 0)::numeric
+  from orders
+  where created_at >= get_payment_breakdown.start_at
+    and created_at < get_payment_breakdown.end_at
+  group by 1, 2, 3
+$$;
+
+grant execute on function public.get_payment_breakdown(timestamptz, timestamptz) to authenticated;
@@ -0,0 +1,35 @@
+-- When each order reached confirmed, shipped and cancelled (src/lib/endOfDay.js). Set by a trigger on every
+-- insert and status change, so admin, manual and storefront orders are all covered whoever changed them.
+-- Orders that reached a status before this migration have no time for it and don't appear in day counts.
+
+alter table public.orders
+  add column if not exists confirmed_at timestamptz,
+  add column if not exists shipped_at timestamptz,
+  add column if not exists cancelled_at timestamptz;
+
+create index if not exists orders_confirmed_at_idx on public.orders (confirmed_at);
+create index if not exists orders_shipped_at_idx on public.orders (shipped_at);
+create index if not exists orders_cancelled_at_idx on public.orders (cancelled_at);
+
+create or replace function public.stamp_order_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    case new.status
+      when 'confirmed' then new.confirmed_at := now();
+      when 'shipped' then new.shipped_at := now();
+      when 'cancelled' then new.cancelled_at := now();
+      else null;
+    end case;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_stamp_status on public.orders;
+create trigger orders_stamp_status
+  before insert or update of status on public.orders
+  for each row
+  execute function public.stamp_order_status();
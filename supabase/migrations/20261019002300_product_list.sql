@@ -0,0 +1,38 @@
+-- Product list (fetchProductsPage in src/lib/products.js): every products column plus the derived ones the
+-- list filters and sorts on, so that happens in the database instead of on a downloaded catalogue.
+-- p.* is kept as-is so PostgREST still resolves the category/fabric/design, variant, tag and image embeds
+-- through the products foreign keys. security_invoker keeps the caller's RLS.
+
+create or replace view public.product_list
+with (security_invoker = true)
+as
+select
+  p.*,
+  coalesce(v.total_stock, 0) as total_stock,
+  case when p.is_on_sale and p.sale_price is not null then p.sale_price else p.price end as effective_price,
+  pc.cost_price,
+  case
+    when pc.cost_price is null then null
+    when (case when p.is_on_sale and p.sale_price is not null then p.sale_price else p.price end) > 0
+      then round(
+        ((case when p.is_on_sale and p.sale_price is not null then p.sale_price else p.price end) - pc.cost_price)
+        / (case when p.is_on_sale and p.sale_price is not null then p.sale_price else p.price end) * 100,
+        2
+      )
+  end as margin,
+  coalesce(v.skus, '') as skus,
+  coalesce(t.tag_ids, '{}') as tag_ids
+from products p
+left join product_costs pc on pc.product_id = p.id
+left join lateral (
+  select sum(stock_quantity) as total_stock, string_agg(sku, ' ') as skus
+  from product_variants
+  where product_id = p.id
+) v on true
+left join lateral (
+  select array_agg(tag_id order by tag_id) as tag_ids
+  from product_tags
+  where product_id = p.id
+) t on true;
+
+grant select on public.product_list to authenticated;
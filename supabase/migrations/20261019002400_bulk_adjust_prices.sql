@@ -0,0 +1,60 @@
+-- Bulk price adjustment (applyBulkEdit in src/lib/products.js). One statement, so every selected price moves
+-- or none does. Sale prices move with the price so running discounts are kept; a missing sale price stays
+-- missing. Returns each product's price and sale price from before the change, for the audit entry.
+-- product_ids are products.id as text. Invoker rights: the caller's RLS on products applies.
+
+create or replace function public.bulk_adjusted_price(value numeric, mode text, amount numeric)
+returns numeric
+language sql
+immutable
+as $$
+  select case
+    when value is null then null
+    when mode = 'percent' then round(value * (1 + amount / 100), 2)
+    else round(value + amount, 2)
+  end
+$$;
+
+create or replace function public.bulk_adjust_prices(product_ids text[], mode text, amount numeric)
+returns table (product_id text, price numeric, sale_price numeric)
+language plpgsql
+set search_path = public
+as $$
+begin
+  if bulk_adjust_prices.mode not in ('percent', 'fixed') then
+    raise exception 'Unknown price adjustment: %', bulk_adjust_prices.mode;
+  end if;
+
+  -- Lock the rows first so the check below sees the prices the update will change
+  perform 1 from products p where p.id::text = any(bulk_adjust_prices.product_ids) for update;
+
+  if exists (
+    select 1 from products p
+    where p.id::text = any(bulk_adjust_prices.product_ids)
+      and (
+        bulk_adjusted_price(p.price, bulk_adjust_prices.mode, bulk_adjust_prices.amount) <= 0
+        or bulk_adjusted_price(p.sale_price, bulk_adjust_prices.mode, bulk_adjust_prices.amount) <= 0
+      )
+  ) then
+    raise exception 'This adjustment would take some prices to zero or below';
+  end if;
+
+  return query
+  with changed as (
+    update products p
+    set price = bulk_adjusted_price(old.price, bulk_adjust_prices.mode, bulk_adjust_prices.amount),
+        sale_price = bulk_adjusted_price(old.sale_price, bulk_adjust_prices.mode, bulk_adjust_prices.amount)
+    from (
+      select id, products.price, products.sale_price
+      from products
+      where id::text = any(bulk_adjust_prices.product_ids)
+    ) old
+    where p.id = old.id
+    returning old.id::text as id, old.price::numeric as price, old.sale_price::numeric as sale_price
+  )
+  select changed.id, changed.price, changed.sale_price from changed;
+end;
+$$;
+
+grant execute on function public.bulk_adjusted_price(numeric, text, numeric) to authenticated;
+grant execute on function public.bulk_adjust_prices(text[], text, numeric) to authenticated;
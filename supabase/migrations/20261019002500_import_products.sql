@@ -0,0 +1,51 @@
+-- Spreadsheet import (importProducts in src/lib/productImport.js). Creates every product with its cost, tags,
+-- variants and images inside this one call, so a failure (a SKU taken meanwhile, a bad reference) rolls the
+-- whole import back. Returns the new product ids as a json array, in input order.
+--
+-- products: [{ name, description, price, sale_price, is_on_sale, cost_price, category_id, fabric_id, design_id,
+--              tag_ids: [], variants: [{ color_id, size_id, sku, stock_quantity }],
+--              images: [{ color_id, image_url, is_primary }] }]
+-- Invoker rights: the caller's RLS on each table applies.
+
+create or replace function public.import_products(products jsonb)
+returns jsonb
+language plpgsql
+set search_path = public
+as $$
+declare
+  item jsonb;
+  new_id products.id%type;
+  ids jsonb := '[]'::jsonb;
+begin
+  for item in select e.value from jsonb_array_elements(import_products.products) with ordinality e (value, position) order by e.position loop
+    insert into products (name, description, price, sale_price, is_on_sale, category_id, fabric_id, design_id, is_active)
+    select r.name, r.description, r.price, r.sale_price, coalesce(r.is_on_sale, false), r.category_id, r.fabric_id, r.design_id, true
+    from jsonb_populate_record(null::products, item) r
+    returning id into new_id;
+
+    if (item->>'cost_price') is not null then
+      insert into product_costs (product_id, cost_price) values (new_id, (item->>'cost_price')::numeric);
+    end if;
+
+    insert into product_tags (product_id, tag_id)
+    select new_id, r.tag_id
+    from jsonb_array_elements(coalesce(item->'tag_ids', '[]'::jsonb)) tag,
+         jsonb_populate_record(null::product_tags, jsonb_build_object('tag_id', tag.value)) r;
+
+    insert into product_variants (product_id, color_id, size_id, sku, stock_quantity)
+    select new_id, r.color_id, r.size_id, r.sku, coalesce(r.stock_quantity, 0)
+    from jsonb_populate_recordset(null::product_variants, coalesce(item->'variants', '[]'::jsonb)) r;
+
+    insert into product_images (product_id, color_id, image_url, is_primary)
+    select new_id, r.color_id, r.image_url, coalesce(r.is_primary, false)
+    from jsonb_populate_recordset(null::product_images, coalesce(item->'images', '[]'::jsonb)) r;
+
+    ids := ids || to_jsonb(new_id);
+  end loop;
+
+  return ids;
+end;
+$$;
+
+revoke execute on function public.import_products(jsonb) from public, anon;
+grant execute on function public.import_products(jsonb) to authenticated;